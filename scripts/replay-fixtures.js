@@ -0,0 +1,57 @@
+// Replays recorded landmark fixtures through GestureRecognizer without a webcam
+// and checks the emitted gestures against each fixture's expected output.
+//
+// Usage: npm run replay -- <fixture.json | directory> [...more]
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { GestureRecognizer } from '../src/js/gesture/GestureRecognizer.js';
+import { LandmarkReplaySource } from '../src/js/gesture/LandmarkReplaySource.js';
+
+function collectFixtures(paths) {
+    const files = [];
+    paths.forEach(path => {
+        if (statSync(path).isDirectory()) {
+            readdirSync(path)
+                .filter(name => name.endsWith('.json'))
+                .sort()
+                .forEach(name => files.push(join(path, name)));
+        } else {
+            files.push(path);
+        }
+    });
+    return files;
+}
+
+function formatSequence(events) {
+    return events.map(event => `${event.gesture}@${Math.round(event.t)}ms`).join(' ');
+}
+
+const paths = process.argv.slice(2);
+if (paths.length === 0) {
+    console.error('Usage: npm run replay -- <fixture.json | directory> [...more]');
+    process.exit(2);
+}
+
+// Keep the recognizer's own logging out of the report
+const log = console.log;
+console.log = () => {};
+
+let failures = 0;
+collectFixtures(paths).forEach(file => {
+    const fixture = JSON.parse(readFileSync(file, 'utf8'));
+    const recognizer = new GestureRecognizer(null, null);
+    const emitted = new LandmarkReplaySource(recognizer, fixture).runHeadless();
+    const mismatches = LandmarkReplaySource.compare(emitted, fixture.expected);
+
+    if (mismatches.length === 0) {
+        log(`PASS ${file} (${fixture.frames.length} frames, ${emitted.length} gestures)`);
+        return;
+    }
+
+    failures++;
+    log(`FAIL ${file}`);
+    log(`  expected: ${formatSequence(fixture.expected || [])}`);
+    log(`  actual:   ${formatSequence(emitted)}`);
+});
+
+process.exit(failures > 0 ? 1 : 0);
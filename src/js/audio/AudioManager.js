@@ -1,3 +1,5 @@
+import { GameState } from '../game/GameStateMachine.js';
+
 export class AudioManager {
     constructor() {
         this.audioContext = null;
@@ -15,6 +17,7 @@ export class AudioManager {
         this.backgroundMusicSource = null;
         this.backgroundMusicGain = null;
         this.isMusicPlaying = false;
+        this.isMusicPaused = false;
         this.musicBuffer = null;
         
         this.init();
@@ -227,6 +230,24 @@ export class AudioManager {
         this.playSound('gameOver');
     }
 
+    bindStateMachine(stateMachine) {
+        stateMachine.onEnter(GameState.COUNTDOWN, () => {
+            // Restarting from the pause screen: sounds need the context running again
+            this.resumeBackgroundMusic();
+            this.playStartSound();
+        });
+        stateMachine.onEnter(GameState.PLAYING, () => this.startBackgroundMusic());
+        stateMachine.onEnter(GameState.DUEL, () => this.startBackgroundMusic());
+        stateMachine.onEnter(GameState.PAUSED, () => this.pauseBackgroundMusic());
+        stateMachine.onExit(GameState.PAUSED, (data, nextState) => {
+            if (nextState !== GameState.MENU) {
+                this.resumeBackgroundMusic();
+            }
+        });
+        stateMachine.onEnter(GameState.GAME_OVER, () => this.playGameOverSound());
+        stateMachine.onEnter(GameState.MENU, () => this.stopBackgroundMusic());
+    }
+
     playStartSound() {
         this.playSound('start');
     }
@@ -299,6 +320,12 @@ export class AudioManager {
         const playAmbientTone = () => {
             if (!this.isMusicPlaying) return;
             
+            // Wait for resume instead of queueing chords on a suspended context
+            if (this.isMusicPaused) {
+                setTimeout(playAmbientTone, 250);
+                return;
+            }
+            
             const frequencies = [220, 330, 440]; // Base chord
             const duration = 4; // 4 seconds per chord
             
@@ -331,9 +358,33 @@ export class AudioManager {
         playAmbientTone();
     }
 
+    // Pausing suspends the whole audio context so the music keeps its position
+    async pauseBackgroundMusic() {
+        if (!this.isMusicPlaying || this.isMusicPaused) return;
+        
+        this.isMusicPaused = true;
+        if (this.audioContext && this.audioContext.state === 'running') {
+            await this.audioContext.suspend();
+        }
+    }
+
+    async resumeBackgroundMusic() {
+        if (!this.isMusicPaused) return;
+        
+        this.isMusicPaused = false;
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+    }
+
     stopBackgroundMusic() {
         this.isMusicPlaying = false;
         
+        // Sound effects need a running context again after a pause
+        if (this.isMusicPaused) {
+            this.resumeBackgroundMusic();
+        }
+        
         if (this.backgroundMusicSource) {
             try {
                 // Fade out before stopping
@@ -0,0 +1,185 @@
+import { GestureCalibrator } from '../gesture/GestureCalibrator.js';
+import { GestureRecognizer } from '../gesture/GestureRecognizer.js';
+
+// Walks the player through calibrating the recognizer to their hand and
+// camera: an open hand, a fist, then each gesture of the current rules, held
+// while the calibrator measures every frame. The thresholds it derives are
+// shown next to the current ones and saved as a named profile.
+export class CalibrationWizard {
+    static OPEN_HAND = { label: 'Open hand', emoji: '🖐️', fingers: [true, true, true, true, true] };
+    static CLOSED_HAND = { label: 'Closed fist', emoji: '✊', fingers: [false, false, false, false, false] };
+
+    constructor(gestureRecognizer, uiManager, audioManager) {
+        this.gestureRecognizer = gestureRecognizer;
+        this.uiManager = uiManager;
+        this.audioManager = audioManager;
+
+        // Timing (ms)
+        this.settleTime = 1500;     // To get the hand into the pose before measuring
+        this.pollInterval = 100;
+        this.noHandWarning = 2000;  // Without a frame this long, ask for the hand
+
+        this.framesPerPose = 25;
+
+        this.steps = [];
+        this.stepIndex = 0;
+        this.profileName = '';
+        this.result = null;
+        this.timer = null;
+        this.pollId = null;
+        this.isActive = false;
+        this.onSaved = null;
+    }
+
+    // Each step is { label, emoji, fingers }. Gestures with no built-in pose
+    // (trained ones) have nothing to measure against and are left out.
+    static buildSteps(ruleTable) {
+        const gestureSteps = ruleTable.getGestures()
+            .map(gesture => ({
+                label: ruleTable.getLabel(gesture),
+                emoji: ruleTable.getEmoji(gesture) || '🖐️',
+                fingers: GestureCalibrator.getCertainFingers(ruleTable.poses.filter(pose => pose.gesture === gesture))
+            }))
+            .filter(step => step.fingers !== null);
+        return [CalibrationWizard.OPEN_HAND, CalibrationWizard.CLOSED_HAND, ...gestureSteps];
+    }
+
+    // The first screen: name the profile and start, or pick a saved one
+    open(onSaved = this.onSaved) {
+        this.stop();
+        this.onSaved = onSaved;
+        this.profileName = this.gestureRecognizer.getActiveCalibrationProfile() || '';
+        this.uiManager.showCalibrationStep({
+            phase: 'setup',
+            title: 'Calibrate your hand',
+            text: 'Hold each pose in front of the camera until the bar fills. The game then tunes when it counts a finger as out or curled, for your hand and camera.',
+            name: this.profileName
+        });
+        this.refreshProfiles();
+    }
+
+    start(profileName) {
+        this.stop();
+        this.profileName = (profileName || '').trim();
+        if (!this.profileName) {
+            this.uiManager.showCalibrationStep({ phase: 'setup', status: 'Enter a profile name first' });
+            return;
+        }
+
+        this.steps = CalibrationWizard.buildSteps(this.gestureRecognizer.ruleTable);
+        this.gestureRecognizer.startCalibration();
+        this.isActive = true;
+        this.runStep(0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        clearInterval(this.pollId);
+        this.timer = null;
+        this.pollId = null;
+        this.isActive = false;
+        this.gestureRecognizer.stopCalibrationPose();
+    }
+
+    runStep(index) {
+        this.stepIndex = index;
+        const step = this.steps[index];
+        const show = (status, progress) => this.uiManager.showCalibrationStep({
+            phase: 'recording',
+            title: `${step.emoji} ${step.label}`,
+            text: `Pose ${index + 1} of ${this.steps.length}: ${GestureRecognizer.describeFingers(step.fingers)}`,
+            status: status,
+            progress: progress
+        });
+        show('Get ready...', 0);
+
+        this.timer = setTimeout(() => {
+            if (!this.isActive) return;
+
+            this.gestureRecognizer.startCalibrationPose(step.fingers);
+            let lastCount = 0;
+            let lastFrameTime = performance.now();
+
+            this.pollId = setInterval(() => {
+                const count = this.gestureRecognizer.getCalibrationSampleCount();
+                const now = performance.now();
+                if (count > lastCount) {
+                    lastCount = count;
+                    lastFrameTime = now;
+                }
+
+                if (count >= this.framesPerPose) {
+                    clearInterval(this.pollId);
+                    this.pollId = null;
+                    this.gestureRecognizer.stopCalibrationPose();
+                    this.audioManager.playSuccessSound();
+                    if (index + 1 < this.steps.length) {
+                        this.runStep(index + 1);
+                    } else {
+                        this.finish();
+                    }
+                    return;
+                }
+
+                const status = now - lastFrameTime > this.noHandWarning
+                    ? 'Can\'t see your hand - hold it up to the camera'
+                    : 'Hold it...';
+                show(status, count / this.framesPerPose);
+            }, this.pollInterval);
+        }, this.settleTime);
+    }
+
+    finish() {
+        this.isActive = false;
+        const config = this.gestureRecognizer.config;
+        const result = this.gestureRecognizer.getCalibrationResult();
+
+        // Anything that couldn't be measured keeps its current value
+        this.result = {
+            fingerExtensionThreshold: result.fingerExtensionThreshold !== null ? result.fingerExtensionThreshold : config.fingerExtensionThreshold,
+            thumbExtensionThreshold: result.thumbExtensionThreshold !== null ? result.thumbExtensionThreshold : config.thumbExtensionThreshold
+        };
+
+        const describe = (name, detail, current) => {
+            if (!detail) return `${name}: not enough readings, keeping ${current.toFixed(3)}`;
+            const note = detail.separated ? '' : ' (poses overlapped - a clearer pose may help)';
+            return `${name}: ${current.toFixed(3)} -> ${detail.threshold.toFixed(3)}${note}`;
+        };
+        this.uiManager.showCalibrationStep({
+            phase: 'result',
+            title: 'Calibration done',
+            text: [
+                describe('Fingers', result.finger, config.fingerExtensionThreshold),
+                describe('Thumb', result.thumb, config.thumbExtensionThreshold)
+            ].join('\n'),
+            status: `Save as "${this.profileName}"?`
+        });
+    }
+
+    save() {
+        if (!this.result) return;
+
+        try {
+            const name = this.gestureRecognizer.saveCalibrationProfile(this.profileName, this.result);
+            this.result = null;
+            if (this.onSaved) this.onSaved(name);
+        } catch (error) {
+            this.uiManager.showCalibrationStep({ phase: 'result', status: error.message });
+        }
+    }
+
+    refreshProfiles() {
+        this.uiManager.updateCalibrationProfiles(
+            this.gestureRecognizer.getCalibrationProfiles(),
+            this.gestureRecognizer.getActiveCalibrationProfile(),
+            (name) => {
+                this.gestureRecognizer.useCalibrationProfile(name);
+                this.refreshProfiles();
+            },
+            (name) => {
+                this.gestureRecognizer.deleteCalibrationProfile(name);
+                this.refreshProfiles();
+            }
+        );
+    }
+}
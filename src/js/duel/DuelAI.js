@@ -0,0 +1,98 @@
+import { SeededRandom } from '../game/SeededRandom.js';
+import { RuleTable } from '../rules/RuleTable.js';
+
+// Computer opponent for duel mode. Every level ends up predicting the
+// player's next throw and playing whatever beats it; they differ in how
+// much of the player's history they use to make that prediction.
+export class DuelAI {
+    static LEVELS = {
+        random: 'Random',
+        frequency: 'Frequency',
+        markov: 'Pattern (Markov)'
+    };
+
+    constructor(level = 'random', random = new SeededRandom(), ruleTable = RuleTable.fromVariant()) {
+        if (!DuelAI.LEVELS[level]) {
+            throw new Error(`Unknown AI level: ${level}`);
+        }
+        this.level = level;
+        this.random = random;
+        this.ruleTable = ruleTable;
+        this.gestures = ruleTable.getGestures();
+
+        this.reset();
+    }
+
+    reset() {
+        this.history = [];             // Player throws, oldest first
+        this.frequencies = {};
+        this.transitions = {};         // "prev" or "prev2,prev" -> { next: count }
+    }
+
+    // Learn from the throw the player just made
+    observe(playerGesture) {
+        if (!this.gestures.includes(playerGesture)) return;
+
+        this.frequencies[playerGesture] = (this.frequencies[playerGesture] || 0) + 1;
+
+        // First and second order transitions into this throw
+        const length = this.history.length;
+        if (length >= 1) {
+            this.countTransition(this.history[length - 1], playerGesture);
+        }
+        if (length >= 2) {
+            this.countTransition(`${this.history[length - 2]},${this.history[length - 1]}`, playerGesture);
+        }
+
+        this.history.push(playerGesture);
+    }
+
+    countTransition(key, next) {
+        const counts = this.transitions[key] = this.transitions[key] || {};
+        counts[next] = (counts[next] || 0) + 1;
+    }
+
+    chooseThrow() {
+        const prediction = this.predictPlayerThrow();
+        return prediction ? this.counterTo(prediction) : this.random.pick(this.gestures);
+    }
+
+    // Returns the player's most likely next throw, or null to play randomly
+    predictPlayerThrow() {
+        switch (this.level) {
+            case 'frequency':
+                return this.mostLikely(this.frequencies);
+            case 'markov': {
+                // Longest context with data wins, falling back to plain frequencies
+                const length = this.history.length;
+                const contexts = [];
+                if (length >= 2) contexts.push(`${this.history[length - 2]},${this.history[length - 1]}`);
+                if (length >= 1) contexts.push(this.history[length - 1]);
+
+                for (const context of contexts) {
+                    const prediction = this.mostLikely(this.transitions[context]);
+                    if (prediction) return prediction;
+                }
+                return this.mostLikely(this.frequencies);
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Highest count, ties broken randomly
+    mostLikely(counts) {
+        if (!counts) return null;
+
+        const best = Math.max(0, ...Object.values(counts));
+        if (best === 0) return null;
+
+        const candidates = this.gestures.filter(gesture => counts[gesture] === best);
+        return this.random.pick(candidates);
+    }
+
+    // With more than one counter (e.g. Lizard Spock) pick one at random
+    counterTo(gesture) {
+        return this.random.pick(this.ruleTable.getCounters(gesture));
+    }
+}
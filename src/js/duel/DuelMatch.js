@@ -0,0 +1,49 @@
+import { RuleTable } from '../rules/RuleTable.js';
+
+// Score keeping for a best-of-N rock-paper-scissors match. Ties are
+// replayed, so a match always ends with one side on ceil(N / 2) wins.
+export class DuelMatch {
+    static BEST_OF = [3, 5, 7];
+
+    constructor(bestOf = 3, ruleTable = RuleTable.fromVariant()) {
+        if (!DuelMatch.BEST_OF.includes(bestOf)) {
+            throw new Error(`Unsupported match length: best of ${bestOf}`);
+        }
+        this.bestOf = bestOf;
+        this.winsNeeded = Math.ceil(bestOf / 2);
+        this.ruleTable = ruleTable;
+
+        this.playerWins = 0;
+        this.aiWins = 0;
+        this.rounds = [];
+    }
+
+    // Returns 'win', 'lose' or 'tie' from the player's point of view
+    static judge(playerGesture, aiGesture, ruleTable) {
+        return ruleTable.judge(playerGesture, aiGesture);
+    }
+
+    playRound(playerGesture, aiGesture) {
+        if (this.isOver()) {
+            throw new Error('The match is already over');
+        }
+
+        const result = DuelMatch.judge(playerGesture, aiGesture, this.ruleTable);
+        if (result === 'win') this.playerWins++;
+        if (result === 'lose') this.aiWins++;
+
+        const round = { number: this.rounds.length + 1, playerGesture, aiGesture, result };
+        this.rounds.push(round);
+        return round;
+    }
+
+    isOver() {
+        return this.playerWins >= this.winsNeeded || this.aiWins >= this.winsNeeded;
+    }
+
+    getWinner() {
+        if (this.playerWins >= this.winsNeeded) return 'player';
+        if (this.aiWins >= this.winsNeeded) return 'ai';
+        return null;
+    }
+}
@@ -0,0 +1,181 @@
+import { SeededRandom } from '../game/SeededRandom.js';
+import { DuelAI } from './DuelAI.js';
+import { DuelMatch } from './DuelMatch.js';
+import { DuelScene } from './DuelScene.js';
+import { RuleTable } from '../rules/RuleTable.js';
+
+// Runs a best-of-N match against the AI or a second player: "rock, paper,
+// scissors, shoot", the gestures are locked on the shoot beat, then both
+// throws are revealed and scored. Player 1 is always the left-hand side.
+export class DuelMode {
+    static BEATS = ['Rock', 'Paper', 'Scissors', 'Shoot!'];
+
+    static NAMES = {
+        ai: ['You', 'AI'],
+        player: ['Player 1', 'Player 2']
+    };
+
+    constructor(gameEngine, audioManager, uiManager) {
+        this.gameEngine = gameEngine;
+        this.audioManager = audioManager;
+        this.uiManager = uiManager;
+        this.duelScene = new DuelScene(gameEngine.scene, gameEngine.loadedPlayerModels);
+
+        // Timing (ms)
+        this.beatInterval = 600;
+        this.lockGrace = 300;       // Recognition lags the hand; accept gestures shortly after "Shoot!"
+        this.resultDelay = 1800;
+
+        this.match = null;
+        this.ai = null;
+        this.ruleTable = null;
+        this.opponent = 'ai';
+        this.playerGesture = 'none';
+        this.opponentGesture = 'none';
+        this.timer = null;
+        this.isActive = false;
+        this.onMatchOver = null;
+
+        // Optional (player) => gesture being held right now, or null when the
+        // input has no such thing (keys and buttons only send presses)
+        this.getHeldGesture = null;
+    }
+
+    start(options, onMatchOver) {
+        this.stop();
+
+        this.opponent = options.opponent === 'player' ? 'player' : 'ai';
+        // Same rules as the runner
+        this.ruleTable = this.gameEngine.ruleTable;
+        this.match = new DuelMatch(options.bestOf, this.ruleTable);
+        this.ai = this.opponent === 'ai' ? new DuelAI(options.aiLevel, new SeededRandom(options.seed), this.ruleTable) : null;
+        this.onMatchOver = onMatchOver;
+        this.playerGesture = 'none';
+        this.opponentGesture = 'none';
+        this.isActive = true;
+
+        // The runner's hand would sit in front of the duel
+        if (this.gameEngine.playerGestureObject) {
+            this.gameEngine.playerGestureObject.visible = false;
+        }
+        this.duelScene.setRuleTable(this.ruleTable);
+        this.duelScene.show();
+        this.uiManager.updateDuelScore(this.match, this.getNames());
+        this.startRound();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isActive = false;
+        this.duelScene.hide();
+        this.uiManager.showDuelBeat('');
+        if (this.gameEngine.playerGestureObject) {
+            this.gameEngine.playerGestureObject.visible = true;
+        }
+    }
+
+    // Against the AI every input source plays for the one human player
+    setPlayerGesture(gesture, player = 0) {
+        if (this.opponent === 'player' && player === 1) {
+            this.opponentGesture = gesture;
+        } else {
+            this.playerGesture = gesture;
+        }
+    }
+
+    getNames() {
+        return DuelMode.NAMES[this.opponent];
+    }
+
+    schedule(callback, delay) {
+        this.timer = setTimeout(() => {
+            if (this.isActive) callback();
+        }, delay);
+    }
+
+    // Inputs only arrive when they change, so last round's throw is cleared
+    // rather than locked again
+    startRound() {
+        this.playerGesture = 'none';
+        this.opponentGesture = 'none';
+        this.duelScene.resetThrows();
+        this.uiManager.showDuelResult('');
+        this.playBeat(0);
+    }
+
+    playBeat(index) {
+        this.uiManager.showDuelBeat(DuelMode.BEATS[index]);
+        this.duelScene.pump();
+        this.audioManager.playCollisionSound();
+
+        if (index < DuelMode.BEATS.length - 1) {
+            this.schedule(() => this.playBeat(index + 1), this.beatInterval);
+            return;
+        }
+
+        // The AI commits on the shoot beat, using only the rounds already played
+        const aiGesture = this.ai ? this.ai.chooseThrow() : null;
+        this.schedule(() => this.lockThrows(aiGesture), this.lockGrace);
+    }
+
+    // What a player is throwing: the gesture held on the beat where the input
+    // can tell, otherwise the last one sent since the round started
+    readThrow(player) {
+        const held = this.getHeldGesture ? this.getHeldGesture(player) : null;
+        if (held !== null) return held;
+        return player === 1 ? this.opponentGesture : this.playerGesture;
+    }
+
+    // A second player's throw is read at the same time as the first's
+    lockThrows(aiGesture) {
+        const playerGesture = this.readThrow(0);
+        if (this.opponent === 'player') {
+            aiGesture = this.readThrow(1);
+        }
+
+        if (!this.ruleTable.has(playerGesture) || !this.ruleTable.has(aiGesture)) {
+            this.uiManager.showDuelBeat('');
+            this.uiManager.showDuelResult('No throw! Again...');
+            this.audioManager.playErrorSound();
+            this.schedule(() => this.startRound(), this.resultDelay);
+            return;
+        }
+
+        const round = this.match.playRound(playerGesture, aiGesture);
+        if (this.ai) this.ai.observe(playerGesture);
+        this.duelScene.reveal(playerGesture, aiGesture, round.result);
+
+        this.uiManager.showDuelBeat('');
+        this.uiManager.showDuelResult(DuelMode.describeRound(round, this.getNames(), this.ruleTable));
+        this.uiManager.updateDuelScore(this.match, this.getNames());
+
+        if (round.result === 'win') {
+            this.audioManager.playSuccessSound();
+        } else if (round.result === 'lose') {
+            this.audioManager.playErrorSound();
+        }
+
+        this.schedule(() => {
+            if (this.match.isOver()) {
+                this.isActive = false;
+                if (this.onMatchOver) this.onMatchOver(this.match, this.getNames());
+            } else {
+                this.startRound();
+            }
+        }, this.resultDelay);
+    }
+
+    static describeRound(round, names = DuelMode.NAMES.ai, ruleTable = RuleTable.fromVariant()) {
+        switch (round.result) {
+            case 'win': return `${ruleTable.describeWin(round.playerGesture, round.aiGesture)} - ${DuelMode.describeWinner(names[0])} the round!`;
+            case 'lose': return `${ruleTable.describeWin(round.aiGesture, round.playerGesture)} - ${DuelMode.describeWinner(names[1])} the round`;
+            default: return `Both threw ${round.playerGesture} - tie, go again`;
+        }
+    }
+
+    // "you win" / "AI wins"
+    static describeWinner(name) {
+        return name === 'You' ? 'you win' : `${name} wins`;
+    }
+}
@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+// The two hands shown during a duel: the player's on the left, the AI's on
+// the right. Both pump a fist on each countdown beat, then show their throw.
+export class DuelScene {
+    constructor(scene, models) {
+        this.scene = scene;
+        this.models = models;          // gesture -> loaded GLB model (shared with GameEngine)
+        this.ruleTable = null;
+        this.restGesture = 'rock';     // The fist pumped on each beat
+
+        this.group = new THREE.Group();
+        this.playerSlot = new THREE.Group();
+        this.playerSlot.position.set(-1.3, 1.2, 2.5);
+        this.aiSlot = new THREE.Group();
+        this.aiSlot.position.set(1.3, 1.2, 2.5);
+        this.aiSlot.scale.x = -1;      // Mirror so the AI's hand faces the player's
+        this.group.add(this.playerSlot, this.aiSlot);
+
+        this.pumpStartTime = null;
+        this.pumpDuration = 300;       // ms per fist pump
+        this.winnerSlot = null;        // Grows a little to show who took the round
+        this.animationId = null;
+    }
+
+    setRuleTable(ruleTable) {
+        this.ruleTable = ruleTable;
+        this.restGesture = ruleTable.has('rock') ? 'rock' : ruleTable.getGestures()[0];
+    }
+
+    show() {
+        this.setThrow(this.playerSlot, this.restGesture);
+        this.setThrow(this.aiSlot, this.restGesture);
+        this.scene.add(this.group);
+
+        const animate = () => {
+            this.animationId = requestAnimationFrame(animate);
+            this.update(performance.now());
+        };
+        animate();
+    }
+
+    hide() {
+        this.scene.remove(this.group);
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    // Back to closed fists for the next countdown
+    resetThrows() {
+        this.winnerSlot = null;
+        this.setThrow(this.playerSlot, this.restGesture);
+        this.setThrow(this.aiSlot, this.restGesture);
+    }
+
+    // `result` is the round result from the player's point of view
+    reveal(playerGesture, aiGesture, result) {
+        this.pumpStartTime = null;
+        this.winnerSlot = result === 'win' ? this.playerSlot : result === 'lose' ? this.aiSlot : null;
+        this.setThrow(this.playerSlot, playerGesture);
+        this.setThrow(this.aiSlot, aiGesture);
+    }
+
+    pump() {
+        this.pumpStartTime = performance.now();
+    }
+
+    setThrow(slot, gesture) {
+        while (slot.children.length > 0) {
+            slot.remove(slot.children[0]);
+        }
+
+        const model = this.models[gesture];
+        if (!model) return;
+
+        const modelClone = model.clone();
+        // Same orientation fix as the runner's player hand
+        modelClone.rotation.y = this.ruleTable ? this.ruleTable.getModelRotation(gesture) : 0;
+        slot.add(modelClone);
+    }
+
+    update(now) {
+        let offset = 0;
+        if (this.pumpStartTime !== null) {
+            const progress = (now - this.pumpStartTime) / this.pumpDuration;
+            offset = progress < 1 ? Math.sin(progress * Math.PI) * 0.4 : 0;
+        }
+        this.playerSlot.position.y = 1.2 + offset;
+        this.aiSlot.position.y = 1.2 + offset;
+
+        [this.playerSlot, this.aiSlot].forEach(slot => {
+            const scale = slot === this.winnerSlot ? 1.3 : 1;
+            slot.scale.set(scale * Math.sign(slot.scale.x), scale, scale);
+        });
+    }
+}
@@ -0,0 +1,122 @@
+// Keeps endless runs in a target success band. It remembers how the last few
+// obstacles went (hit or not, how long the answer took, how close the call
+// was) and nudges a difficulty level up or down, which turns into multipliers
+// on speed, spawn spacing and how often the trickier patterns turn up.
+// Everything it sees comes from the simulation, so replays adjust the same way.
+export class AdaptiveDifficulty {
+    static DEFAULTS = {
+        windowSize: 12,             // Obstacles the rolling window remembers
+        minSamples: 5,              // Before the first adjustment
+        cooldown: 4,                // Obstacles between adjustments
+        targetSuccess: [0.7, 0.9],  // The band it aims to keep the hit rate in
+        nearMissLead: 150,          // A hit locked in less than this (ms) before impact was a near miss
+        maxNearMissRate: 0.4,       // More near misses than this and it eases off...
+        maxReactionShare: 0.6,      // ...and it only pushes on while answers come in this early (share of the approach)
+        step: 0.15,                 // How far one adjustment moves the level
+        minLevel: -1,
+        maxLevel: 1
+    };
+
+    constructor(settings = {}) {
+        Object.keys(AdaptiveDifficulty.DEFAULTS).forEach(key => {
+            this[key] = settings[key] !== undefined ? settings[key] : AdaptiveDifficulty.DEFAULTS[key];
+        });
+        this.reset();
+    }
+
+    // Stored with replays, so playback adjusts the same way
+    toSetting() {
+        const setting = {};
+        Object.keys(AdaptiveDifficulty.DEFAULTS).forEach(key => {
+            setting[key] = this[key];
+        });
+        return setting;
+    }
+
+    reset() {
+        this.samples = [];
+        this.level = 0;
+        this.sinceChange = 0;
+        this.lastChange = 'Starting out';
+    }
+
+    // `lead` is how long before impact the answer was locked in; `latency` is
+    // how long after the obstacle appeared, and `approach` how long it took to arrive.
+    // Returns true when the level changed.
+    record(success, lead = 0, latency = 0, approach = 0) {
+        this.samples.push({
+            success: success,
+            nearMiss: success && lead < this.nearMissLead,
+            latency: latency,
+            reactionShare: approach > 0 ? Math.min(1, latency / approach) : 1
+        });
+        if (this.samples.length > this.windowSize) {
+            this.samples.shift();
+        }
+        this.sinceChange++;
+
+        if (this.samples.length < this.minSamples || this.sinceChange < this.cooldown) {
+            return false;
+        }
+
+        const stats = this.getStats();
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        if (stats.successRate < this.targetSuccess[0]) {
+            return this.adjust(-this.step, `Easing off: ${percent(stats.successRate)} hit`);
+        }
+        if (stats.nearMissRate > this.maxNearMissRate) {
+            return this.adjust(-this.step, `Easing off: ${percent(stats.nearMissRate)} near misses`);
+        }
+        if (stats.successRate > this.targetSuccess[1] && stats.reactionShare < this.maxReactionShare) {
+            return this.adjust(this.step, `Pushing on: ${percent(stats.successRate)} hit`);
+        }
+        return false;
+    }
+
+    adjust(delta, reason) {
+        const level = Math.max(this.minLevel, Math.min(this.maxLevel, this.level + delta));
+        if (level === this.level) return false;
+
+        this.level = level;
+        this.sinceChange = 0;
+        this.lastChange = reason;
+        return true;
+    }
+
+    getStats() {
+        const count = this.samples.length;
+        if (count === 0) {
+            return { samples: 0, successRate: 1, nearMissRate: 0, averageLatency: 0, reactionShare: 0 };
+        }
+
+        const hits = this.samples.filter(sample => sample.success);
+        const average = (list, key) => list.length > 0 ? list.reduce((sum, sample) => sum + sample[key], 0) / list.length : 0;
+        return {
+            samples: count,
+            successRate: hits.length / count,
+            nearMissRate: hits.length > 0 ? hits.filter(sample => sample.nearMiss).length / hits.length : 0,
+            averageLatency: average(hits, 'latency'),
+            reactionShare: average(hits, 'reactionShare')
+        };
+    }
+
+    // Multipliers for the engine (see GameEngine.setDifficulty). Level 0 changes nothing.
+    getAdjustments() {
+        return {
+            speed: 1 + this.level * 0.25,
+            spacing: 1 - this.level * 0.3,
+            complexity: 1 + this.level
+        };
+    }
+
+    // For the debug panel
+    getStatus() {
+        return {
+            level: this.level,
+            ...this.getStats(),
+            ...this.getAdjustments(),
+            lastChange: this.lastChange
+        };
+    }
+}
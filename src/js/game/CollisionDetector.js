@@ -14,6 +14,51 @@ export class CollisionDetector {
         return playerBox.intersectsBox(obstacleBox);
     }
 
+    // Continuous test for an obstacle that moved from `previousPosition` to its
+    // current position during the last step, so fast obstacles can't skip past
+    // the player between two steps. Returns null, or { time, position } where
+    // time is the fraction of the step (0..1) at which the boxes first touched.
+    sweepCollision(playerObject, obstacleObject, previousPosition, playerPreviousPosition = playerObject.position) {
+        const playerBox = new THREE.Box3().setFromObject(playerObject);
+        const obstacleBox = new THREE.Box3().setFromObject(obstacleObject);
+        
+        // Obstacle motion relative to the player (who may be changing lanes)
+        const playerMotion = playerObject.position.clone().sub(playerPreviousPosition);
+        const motion = obstacleObject.position.clone().sub(previousPosition).sub(playerMotion);
+        const startBox = obstacleBox.clone().translate(motion.clone().negate());
+        
+        const time = CollisionDetector.sweepBoxes(startBox, motion, playerBox);
+        if (time === null) return null;
+        
+        return {
+            time: time,
+            position: previousPosition.clone().lerp(obstacleObject.position, time)
+        };
+    }
+
+    // Slab test: when, as a fraction of `motion`, does `box` first overlap `target`?
+    static sweepBoxes(box, motion, target) {
+        let entry = -Infinity;
+        let exit = Infinity;
+        
+        for (const axis of ['x', 'y', 'z']) {
+            const velocity = motion[axis];
+            if (velocity === 0) {
+                // Not moving on this axis: must already overlap on it
+                if (box.max[axis] < target.min[axis] || box.min[axis] > target.max[axis]) return null;
+                continue;
+            }
+            
+            const t1 = (target.min[axis] - box.max[axis]) / velocity;
+            const t2 = (target.max[axis] - box.min[axis]) / velocity;
+            entry = Math.max(entry, Math.min(t1, t2));
+            exit = Math.min(exit, Math.max(t1, t2));
+        }
+        
+        if (entry > exit || entry > 1 || exit < 0) return null;
+        return Math.max(0, entry);
+    }
+
     checkSphereCollision(playerObject, obstacleObject, playerRadius = 0.5, obstacleRadius = 0.8) {
         const distance = playerObject.position.distanceTo(obstacleObject.position);
         return distance < (playerRadius + obstacleRadius);
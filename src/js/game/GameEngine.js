@@ -2,9 +2,28 @@ import * as THREE from 'three';
 import { SceneManager } from './SceneManager.js';
 import { ObstacleManager } from './ObstacleManager.js';
 import { CollisionDetector } from './CollisionDetector.js';
+import { SimulationClock } from './SimulationClock.js';
+import { SeededRandom } from './SeededRandom.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { GameState } from './GameStateMachine.js';
+import { RuleTable } from '../rules/RuleTable.js';
+import { PowerUpManager } from './PowerUpManager.js';
+import { LevelScript } from '../levels/LevelScript.js';
+import { SpawnFairness } from './SpawnFairness.js';
+import { AdaptiveDifficulty } from './AdaptiveDifficulty.js';
+import { GameMode } from '../modes/GameMode.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
 export class GameEngine {
+    static DEFAULT_HEALTH = {
+        maxHealth: 6,
+        // Health lost per mistake, by game over cause
+        damage: { wrongGesture: 2, noGesture: 2, missed: 2, tie: 1 },
+        invulnerability: 1500,      // ms after a hit before the next one counts
+        pickupChance: 0.15,         // Chance a spawn is a heart instead, while hurt
+        pickupHeal: 2
+    };
+
     constructor(canvas, audioManager) {
         this.canvas = canvas;
         this.audioManager = audioManager;
@@ -21,6 +40,7 @@ export class GameEngine {
         
         // Game state
         this.isRunning = false;
+        this.isPaused = false;
         this.score = 0;
         this.combo = 0;
         this.maxCombo = 0;
@@ -33,8 +53,80 @@ export class GameEngine {
         this.playerGesture = 'none';
         this.playerGestureObject = null;
         this.gestureIndicator = null;
+        this.gestureLockTime = 0;      // Simulation ms when the current gesture was locked in
+        
+        // Timing judgement: how long before contact the winning gesture was
+        // locked in (simulation ms). Checked in order, first match wins.
+        this.timingGrades = [
+            { grade: 'perfect', label: 'Perfect!', minLead: 400, multiplier: 1.5, combo: 'add', color: '#FFD700' },
+            { grade: 'great', label: 'Great', minLead: 250, multiplier: 1.2, combo: 'add', color: '#4ECDC4' },
+            { grade: 'good', label: 'Good', minLead: 100, multiplier: 1, combo: 'keep', color: '#FFFFFF' },
+            { grade: 'late', label: 'Late', minLead: -Infinity, multiplier: 0.5, combo: 'reset', color: '#FF9F43' }
+        ];
+        this.maxInputAge = 500;        // Older recognizer timestamps (e.g. from before a pause) are capped
+        
+        // Lives: mistakes cost health (two per heart) instead of ending the run.
+        // `null` settings are hardcore mode, where the first mistake is game over.
+        this.healthSettings = null;
+        this.setHealthSettings(GameEngine.DEFAULT_HEALTH);
+        this.health = 0;
+        this.invulnerableUntil = 0;    // Simulation ms; mistakes before then are forgiven
+        this.isBlinking = false;
+        this.onHealthUpdateCallback = null;
+        
+        // Power-ups: collected from the track, timed on simulation time
+        this.powerUps = new PowerUpManager();
+        this.powerUpChance = 0.1;      // Chance a spawn is a power-up instead of an obstacle
+        this.onPowerUpUpdateCallback = null;
+        
+        // Levels: a scripted run (see LevelLoader) instead of random spawns
+        this.level = null;
+        this.levelStartWave = 0;
+        this.levelScript = null;
+        this.onWaveStartCallback = null;
+        
+        // Morphing, disguised and mirror obstacles join endless runs once they're fast enough
+        this.variantChance = 0.25;
+        this.variantMinSpeed = 2.0;
+        
+        // Endless runs hold an obstacle back until there's time to switch to
+        // its answer, apart from the odd deliberately hard pattern
+        this.fairness = new SpawnFairness();
+        this.fairSpawning = true;
+        this.lastSpawnedObstacle = null;   // { answers, lane, obstacle }
+        this.pendingObstacle = null;       // Chosen, but waiting until it's fair
+        this.hardPatternCount = 0;
+        
+        // Adaptive difficulty: endless runs speed up or ease off to keep the
+        // player in a target success band
+        this.adaptiveDifficulty = new AdaptiveDifficulty();
+        this.isAdaptive = true;
+        this.difficultyAdjustments = this.adaptiveDifficulty.getAdjustments();
+        this.onDifficultyUpdateCallback = null;
+        
+        // Game mode: the rules a run is played under (see GameMode)
+        this.mode = new GameMode();
+        this.timePenalty = 0;          // ms mistakes have taken off a timed mode's clock
+        this.hits = 0;
+        this.mistakes = 0;
+        this.onModeUpdateCallback = null;
         
-        // Spawn control
+        // Deterministic simulation: fixed timestep clock and seeded randomness
+        this.clock = new SimulationClock();
+        this.random = new SeededRandom();
+        this.seed = this.random.seed;
+        this.pendingGesture = null;
+        this.pendingGestureTimestamp = null;
+        
+        // Replays: every run is recorded; during playback inputs come from the replay instead
+        this.replayRecorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.replayInputs = null;
+        this.replayInputIndex = 0;
+        this.isFastForwarding = false; // Skip sounds and effects while seeking a replay
+        this.gameOverReason = null;
+        
+        // Spawn control (times are simulation ms)
         this.lastSpawnTime = 0;
         this.minSpawnInterval = 2000; // Minimum 2 seconds between spawns
         this.spawnIntervalVariation = 1000; // +/- 1 second variation
@@ -49,38 +141,21 @@ export class GameEngine {
         this.animationId = null;
         this.lastTime = 0;
         
-        // Gesture to obstacle mapping
-        this.gestureMap = {
-            'rock': 'scissors',    // rock beats scissors
-            'paper': 'rock',       // paper beats rock
-            'scissors': 'paper'    // scissors beats paper
-        };
-        
-        this.gestureColors = {
-            'rock': 0x8B4513,      // brown
-            'paper': 0xFFFFFF,     // white
-            'scissors': 0xC0C0C0,  // silver
-            'none': 0x4ecdc4       // teal
-        };
+        // Who beats whom, plus each gesture's colour and model (see setRuleTable)
+        this.ruleTable = RuleTable.fromVariant();
 
-        // Hint system
+        // Hint system: one ring per lane, built by setLaneCount()
         this.hintObjects = [];
         this.showHints = true;
+        
+        // Lanes: the player steers between them, obstacles in other lanes pass by
+        this.playerLane = 0;
+        this.pendingLane = null;
+        this.laneSwitchSpeed = 12; // World units per second when moving to a new lane
 
-        // GLB Loader for player gestures
+        // GLB Loader for player gestures; gestures without a model reuse the obstacle fallback geometry
         this.gltfLoader = new GLTFLoader();
-        this.playerModelPaths = {
-            rock: '/assets/models/rock.glb',
-            paper: '/assets/models/paper.glb',
-            scissors: '/assets/models/scissors.glb',
-            none: null // No model for 'none' state initially
-        };
-        this.loadedPlayerModels = {
-            rock: null,
-            paper: null,
-            scissors: null,
-            none: null
-        };
+        this.loadedPlayerModels = {};
     }
 
     async init() {
@@ -113,7 +188,7 @@ export class GameEngine {
             this.startRenderLoop();
             console.log('GameEngine: Render loop started.');
 
-            this.setPlayerGesture('rock'); // Set default gesture after everything is initialized
+            this.setPlayerGesture(this.getDefaultGesture()); // Set default gesture after everything is initialized
             console.log('GameEngine: Default player gesture set.');
 
             console.log('GameEngine: Initialization complete.');
@@ -139,10 +214,9 @@ export class GameEngine {
     }
     async loadPlayerModels() {
         console.log('GameEngine: Starting to load player GLB models...');
-        const loadPromises = Object.keys(this.playerModelPaths).map(async (type) => {
-            const path = this.playerModelPaths[type];
-            if (!path) {
-                this.loadedPlayerModels[type] = null;
+        const loadPromises = this.ruleTable.getGestures().map(async (type) => {
+            const path = this.ruleTable.getModelPath(type);
+            if (!path || this.loadedPlayerModels[type]) {
                 return { type, success: true, skipped: true };
             }
             try {
@@ -172,7 +246,6 @@ export class GameEngine {
                 return { type, success: true };
             } catch (error) {
                 console.error(`GameEngine: Failed to load player ${type} model from ${path}:`, error);
-                this.loadedPlayerModels[type] = null;
                 return { type, success: false, error };
             }
         });
@@ -180,6 +253,36 @@ export class GameEngine {
         console.log('GameEngine: Player GLB models loading process complete.');
     }
 
+    // Gestures whose GLB is missing or failed to load get the obstacle's procedural mesh
+    createFallbackPlayerModels() {
+        this.ruleTable.getGestures().forEach(type => {
+            if (this.loadedPlayerModels[type]) return;
+            
+            const model = this.obstacleManager.createFallbackMesh(type);
+            this.obstacleManager.normalizeModel(model, type);
+            this.loadedPlayerModels[type] = model;
+        });
+    }
+
+    // Switch gesture sets between runs
+    setRuleTable(ruleTable) {
+        if (ruleTable.equals(this.ruleTable)) return;
+        
+        this.ruleTable = ruleTable;
+        this.obstacleManager.setRuleTable(ruleTable);
+        this.createFallbackPlayerModels();
+        this.loadPlayerModels();
+        
+        if (!ruleTable.has(this.playerGesture)) {
+            this.playerGesture = 'none';
+            this.applyPlayerGesture('none');
+        }
+    }
+
+    getDefaultGesture() {
+        return this.ruleTable.getGestures()[0];
+    }
+
     getLoadingStatus() {
         return this.obstacleManager ? this.obstacleManager.getModelLoadingStatus() : null;
     }
@@ -240,6 +343,7 @@ export class GameEngine {
         console.log('GameEngine: ObstacleManager models loaded.');
         
         this.sceneManager.createEnvironment();
+        this.createFallbackPlayerModels();
         this.createPlayerGesture(); // Creates the group and BoxHelper
         // this.createGestureIndicator(); // Gesture indicator might be part of UI now
         this.scheduleNextSpawn();
@@ -298,14 +402,14 @@ export class GameEngine {
 
         if (!model) {
             // If the intended model is not found (e.g., 'unknown' was passed by mistake, or a valid model failed to load)
-            // try to fall back to 'rock'.
-            console.warn(`GameEngine: No GLB model loaded for intended gesture '${gestureToDisplay}'. Attempting fallback to 'rock'.`);
-            model = this.loadedPlayerModels['rock'];
-            finalGestureShown = 'rock'; // We are now attempting to show 'rock'
+            // try to fall back to the rule table's first gesture.
+            finalGestureShown = this.getDefaultGesture();
+            console.warn(`GameEngine: No GLB model loaded for intended gesture '${gestureToDisplay}'. Attempting fallback to '${finalGestureShown}'.`);
+            model = this.loadedPlayerModels[finalGestureShown];
 
             if (!model) {
-                // If 'rock' model itself is not available, then display empty.
-                console.error(`GameEngine: Fallback 'rock' model also not loaded. Displaying empty. playerGestureObject will be empty.`);
+                // If the fallback model itself is not available, then display empty.
+                console.error(`GameEngine: Fallback '${finalGestureShown}' model also not loaded. Displaying empty. playerGestureObject will be empty.`);
                 if (this.playerBoxHelper) {
                     this.playerBoxHelper.update(); // Update box helper for empty group
                 }
@@ -313,17 +417,13 @@ export class GameEngine {
             }
         }
 
-        // At this point, 'model' is either the model for 'gestureToDisplay' or the fallback 'rock' model.
+        // At this point, 'model' is either the model for 'gestureToDisplay' or the fallback model.
         // 'finalGestureShown' is the gesture corresponding to 'model'.
         const modelClone = model.clone();
         this.playerGestureObject.add(modelClone);
 
         // Apply gesture-specific transformations based on the model actually being displayed
-        if (finalGestureShown === 'paper' || finalGestureShown === 'scissors') {
-            modelClone.rotation.y = Math.PI; // Rotate 180 degrees around Y-axis
-        } else {
-            modelClone.rotation.y = 0; // Ensure non-paper/scissors (like rock) have default rotation
-        }
+        modelClone.rotation.y = this.ruleTable.getModelRotation(finalGestureShown);
 
         console.log(`GameEngine: Displaying ${finalGestureShown} GLB model (intended: ${gestureToDisplay}).`);
 
@@ -337,7 +437,7 @@ export class GameEngine {
 
         // The playerGestureObject (the group) itself is clamped to Y=1.0 in the update() method.
         // This animation should apply to the model *within* the group, and only for non-Y axes if Y is already controlled.
-        const time = Date.now() * 0.0025;
+        const time = this.clock.time * 0.0025;
         const floatAmplitudeX = 0.03; // Amplitude for X sway
 
         // Apply to the currently displayed model within the playerGestureObject group
@@ -356,13 +456,20 @@ export class GameEngine {
     }
 
     createHintSystem() {
-        // Create hint indicators on the sides of the screen
+        // One hint indicator per lane, ahead of the player
         const hintDistance = 8;
-        const hintPositions = [
-            { x: -2, z: -hintDistance },
-            { x: 0, z: -hintDistance },
-            { x: 2, z: -hintDistance }
-        ];
+        
+        this.hintObjects.forEach(hint => {
+            this.scene.remove(hint);
+            hint.geometry.dispose();
+            hint.material.dispose();
+        });
+        this.hintObjects = [];
+        
+        const hintPositions = [];
+        for (let lane = 0; lane < this.obstacleManager.laneCount; lane++) {
+            hintPositions.push({ x: this.obstacleManager.getLaneX(lane), z: -hintDistance });
+        }
         
         hintPositions.forEach((pos, index) => {
             const hintGeometry = new THREE.RingGeometry(0.3, 0.5, 8);
@@ -374,6 +481,7 @@ export class GameEngine {
             });
             const hint = new THREE.Mesh(hintGeometry, hintMaterial);
             hint.position.set(pos.x, 1.5, pos.z);
+            hint.scale.setScalar(this.obstacleManager.getLaneScale());
             hint.rotation.x = -Math.PI / 2;
             hint.visible = false;
             this.scene.add(hint);
@@ -382,9 +490,9 @@ export class GameEngine {
     }
 
     scheduleNextSpawn() {
-        const baseInterval = this.minSpawnInterval / this.speed;
-        const variation = (Math.random() - 0.5) * this.spawnIntervalVariation;
-        this.nextSpawnTime = Date.now() + baseInterval + variation;
+        const baseInterval = this.minSpawnInterval * this.difficultyAdjustments.spacing / this.speed;
+        const variation = (this.random.next() - 0.5) * this.spawnIntervalVariation;
+        this.nextSpawnTime = this.clock.time + baseInterval + variation;
     }
 
     setupEventListeners() {
@@ -394,52 +502,347 @@ export class GameEngine {
     handleResize() {
         const width = this.canvas.offsetWidth;
         const height = this.canvas.offsetHeight;
+        if (!width || !height) return; // Hidden canvas, e.g. player 2's track outside a race
         
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
     }
 
-    startGame(onGameOverCallback, onScoreUpdateCallback, onComboUpdateCallback) {
+    startGame(onGameOverCallback, onScoreUpdateCallback, onComboUpdateCallback, options = {}) {
         this.onGameOverCallback = onGameOverCallback;
         this.onScoreUpdateCallback = onScoreUpdateCallback;
         this.onComboUpdateCallback = onComboUpdateCallback;
         
+        if (options.settings) {
+            this.applySimulationSettings(options.settings);
+        }
+        
+        // Same seed + same inputs = same run
+        this.seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+        this.random = new SeededRandom(this.seed);
+        this.obstacleManager.setRandom(this.random);
+        this.clock.reset();
+        this.pendingGesture = null;
+        this.gameOverReason = null;
+        this.resetPlayerLane();
+        
+        // Either play back a replay's inputs or record the player's
+        if (options.replay) {
+            this.replayInputs = options.replay.inputs;
+            this.replayInputIndex = 0;
+            this.replayRecorder.cancel();
+        } else if (options.script) {
+            // A script reacts to how the player does, which a replay can't reproduce
+            this.replayInputs = null;
+            this.replayRecorder.cancel();
+        } else {
+            this.replayInputs = null;
+            this.replayRecorder.start(this.seed, this.getSimulationSettings());
+        }
+        
         this.isRunning = true;
+        this.isPaused = false;
         this.score = 0;
         this.combo = 0;
         this.maxCombo = 0;
         this.speed = 1.0;
         this.playerGesture = 'none';
+        this.gestureLockTime = 0;
+        this.health = this.healthSettings ? this.healthSettings.maxHealth : 0;
+        this.invulnerableUntil = 0;
+        this.powerUps.reset();
+        this.lastSpawnedObstacle = null;
+        this.pendingObstacle = null;
+        this.hardPatternCount = 0;
+        this.adaptiveDifficulty.reset();
+        this.setDifficulty(this.adaptiveDifficulty.getAdjustments());
+        this.timePenalty = 0;
+        this.hits = 0;
+        this.mistakes = 0;
+        
+        // `options.script` plays like a level (e.g. the tutorial's TutorialScript)
+        if (options.script) {
+            this.levelScript = options.script;
+        } else {
+            this.levelScript = this.level ? new LevelScript(this.level, this.levelStartWave) : null;
+        }
+        if (this.levelScript && this.level) {
+            this.levelScript.onWaveStart = (wave, index) => {
+                if (this.onWaveStartCallback && !this.isFastForwarding) {
+                    this.onWaveStartCallback(wave, index, this.level);
+                }
+            };
+        }
         
         this.obstacleManager.reset();
         this.scheduleNextSpawn();
         this.updateScore();
         this.updateCombo();
+        this.updateHealth();
+        this.updateDifficulty();
+        this.updateMode();
+    }
+
+    restartGame(options = {}) {
+        this.startGame(this.onGameOverCallback, this.onScoreUpdateCallback, this.onComboUpdateCallback, options);
+    }
+
+    // Pause, resume and abandon runs as the game moves between states
+    bindStateMachine(stateMachine) {
+        stateMachine.onEnter(GameState.PAUSED, () => this.pause());
+        stateMachine.onExit(GameState.PAUSED, () => this.resume());
+        
+        // Restarting or quitting mid-run throws the current run away
+        stateMachine.onEnter(GameState.COUNTDOWN, () => this.stopGame());
+        stateMachine.onEnter(GameState.MENU, () => this.stopGame());
+        stateMachine.onEnter(GameState.DUEL, () => this.stopGame());
+        stateMachine.onEnter(GameState.TUTORIAL, () => this.stopGame());
+    }
+
+    // Freeze the run: no simulation steps, spawns or scene effects until resume()
+    pause() {
+        if (!this.isRunning || this.isPaused) return false;
+        this.isPaused = true;
+        return true;
+    }
+
+    resume() {
+        if (!this.isPaused) return false;
+        this.isPaused = false;
+        this.clock.accumulator = 0;
+        return true;
+    }
+
+    // End the current run without a game over (e.g. quitting to the menu)
+    stopGame() {
+        this.isRunning = false;
+        this.isPaused = false;
+        this.pendingGesture = null;
+        this.pendingLane = null;
+        this.replayInputs = null;
+        this.replayRecorder.cancel();
+        this.obstacleManager.reset();
+        this.updateHints();
+        this.updateInvulnerabilityBlink();
+        this.powerUps.reset();
+        this.updatePowerUpEffects();
+    }
+
+    // Settings that change how a run plays out; stored with replays so playback matches
+    getSimulationSettings() {
+        return {
+            stepsPerSecond: 1000 / this.clock.fixedStep,
+            baseSpeed: this.baseSpeed,
+            speedIncrement: this.speedIncrement,
+            minSpawnInterval: this.minSpawnInterval,
+            spawnIntervalVariation: this.spawnIntervalVariation,
+            spawnDistance: this.obstacleManager.spawnDistance,
+            minObstacleDistance: this.obstacleManager.minObstacleDistance,
+            laneCount: this.obstacleManager.laneCount,
+            rules: this.ruleTable.toSetting(),
+            health: this.healthSettings,
+            powerUpChance: this.powerUpChance,
+            level: this.level ? { definition: this.level, startWave: this.levelStartWave } : null,
+            variantChance: this.variantChance,
+            variantMinSpeed: this.variantMinSpeed,
+            fairness: this.fairSpawning ? this.fairness.toSetting() : null,
+            difficulty: this.isAdaptive ? this.adaptiveDifficulty.toSetting() : null,
+            mode: this.mode.id
+        };
+    }
+
+    applySimulationSettings(settings) {
+        this.clock.fixedStep = 1000 / settings.stepsPerSecond;
+        this.baseSpeed = settings.baseSpeed;
+        this.speedIncrement = settings.speedIncrement;
+        this.minSpawnInterval = settings.minSpawnInterval;
+        this.spawnIntervalVariation = settings.spawnIntervalVariation;
+        this.obstacleManager.spawnDistance = settings.spawnDistance;
+        this.obstacleManager.minObstacleDistance = settings.minObstacleDistance;
+        this.setLaneCount(settings.laneCount);
+        this.setRuleTable(RuleTable.fromSetting(settings.rules));
+        this.setHealthSettings(settings.health);
+        this.powerUpChance = settings.powerUpChance;
+        this.variantChance = settings.variantChance;
+        this.variantMinSpeed = settings.variantMinSpeed;
+        this.setFairSpawning(settings.fairness ? settings.fairness.recognitionLatency : null, settings.fairness);
+        this.setAdaptiveDifficulty(settings.difficulty);
+        this.setMode(new GameMode(settings.mode));
+        this.setLevel(settings.level ? settings.level.definition : null, settings.level ? settings.level.startWave : 0);
+    }
+
+    // `recognitionLatency` is how long the current input takes to register a
+    // new gesture; null turns fair spawning off
+    setFairSpawning(recognitionLatency, settings = {}) {
+        this.fairSpawning = recognitionLatency !== null;
+        this.fairness = new SpawnFairness(settings || {});
+        if (this.fairSpawning) {
+            this.fairness.setRecognitionLatency(recognitionLatency);
+        }
+    }
+
+    // Health, lanes and rules are set separately, as the mode's setup asks
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    // ms left in a timed mode, null when the mode has no time limit
+    getTimeLeft() {
+        if (this.mode.timeLimit === null) return null;
+        return Math.max(0, this.mode.timeLimit - this.timePenalty - this.clock.time);
+    }
+
+    // null keeps the difficulty fixed, e.g. so both racers face the same run
+    setAdaptiveDifficulty(settings) {
+        this.isAdaptive = !!settings;
+        this.adaptiveDifficulty = new AdaptiveDifficulty(settings || {});
+    }
+
+    // A normalized level from LevelLoader, or null for endless random spawning.
+    // `startWave` lets a retry begin at a checkpoint.
+    setLevel(level, startWave = 0) {
+        this.level = level;
+        this.levelStartWave = level ? startWave : 0;
+    }
+
+    // Wave a retry should start from: the last checkpoint the run reached
+    getLevelCheckpoint() {
+        return this.levelScript ? this.levelScript.getCheckpoint() : 0;
+    }
+
+    // `null` for hardcore; anything missing is taken from DEFAULT_HEALTH
+    setHealthSettings(settings) {
+        this.healthSettings = settings ? {
+            ...GameEngine.DEFAULT_HEALTH,
+            ...settings,
+            damage: { ...GameEngine.DEFAULT_HEALTH.damage, ...settings.damage }
+        } : null;
+    }
+
+    // No health to lose, and a mode where mistakes count
+    isHardcore() {
+        return !this.healthSettings && !this.mode.noFail;
+    }
+
+    isInvulnerable() {
+        return this.clock.time < this.invulnerableUntil;
+    }
+
+    // Lanes
+    setLaneCount(laneCount) {
+        if (laneCount === this.obstacleManager.laneCount && this.hintObjects.length === laneCount) return;
+        
+        this.obstacleManager.setLaneCount(laneCount);
+        this.createHintSystem();
+        this.resetPlayerLane();
+    }
+
+    getLaneCount() {
+        return this.obstacleManager.laneCount;
+    }
+
+    resetPlayerLane() {
+        this.playerLane = Math.floor((this.obstacleManager.laneCount - 1) / 2);
+        this.pendingLane = null;
+        if (this.playerGestureObject) {
+            this.playerGestureObject.position.x = this.obstacleManager.getLaneX(this.playerLane);
+            this.playerGestureObject.scale.setScalar(this.obstacleManager.getLaneScale());
+        }
+    }
+
+    // The lane the player is heading for, including input not yet simulated
+    getTargetLane() {
+        return this.pendingLane !== null ? this.pendingLane : this.playerLane;
+    }
+
+    setPlayerLane(lane) {
+        if (this.isReplaying()) return;
+        
+        const clampedLane = Math.max(0, Math.min(lane, this.obstacleManager.laneCount - 1));
+        if (clampedLane === this.getTargetLane()) return;
+        
+        // Like gestures, lane changes take effect on the next simulation step
+        if (this.isRunning) {
+            this.pendingLane = clampedLane;
+        } else {
+            this.playerLane = clampedLane;
+        }
+    }
+
+    // Glide the player towards the centre of their lane
+    movePlayerTowardsLane() {
+        if (!this.playerGestureObject) return;
+        
+        const targetX = this.obstacleManager.getLaneX(this.playerLane);
+        const offset = targetX - this.playerGestureObject.position.x;
+        const maxMove = this.laneSwitchSpeed * this.clock.fixedStep / 1000;
+        this.playerGestureObject.position.x += Math.max(-maxMove, Math.min(offset, maxMove));
+    }
+
+    getLastReplay() {
+        return this.lastReplay;
+    }
+
+    isReplaying() {
+        return this.replayInputs !== null;
+    }
+
+    // Run the simulation without rendering until the given tick (used to seek replays)
+    fastForward(targetTick) {
+        this.isFastForwarding = true;
+        try {
+            while (this.isRunning && this.clock.tick < targetTick) {
+                this.step();
+            }
+        } finally {
+            this.isFastForwarding = false;
+        }
+        this.updateHints();
     }
 
-    restartGame() {
-        this.startGame(this.onGameOverCallback, this.onScoreUpdateCallback, this.onComboUpdateCallback);
+    // `timestamp` is when the recognizer saw the gesture (Date.now() based), so
+    // timing judgements don't depend on which frame the input happened to land in
+    setPlayerGesture(newGestureInput, timestamp = Date.now()) {
+        // Live input is ignored while a replay drives the player
+        if (this.isReplaying()) return;
+        
+        // During a run, inputs are applied on the next simulation step so they
+        // land on a tick boundary regardless of when the frame was rendered
+        if (this.isRunning) {
+            this.pendingGesture = newGestureInput;
+            this.pendingGestureTimestamp = timestamp;
+            return;
+        }
+        
+        this.applyPlayerGesture(newGestureInput);
     }
 
-    setPlayerGesture(newGestureInput) {
+    // `lockedAt` is the simulation time the gesture was locked in, for timing judgements
+    applyPlayerGesture(newGestureInput, lockedAt = this.clock.time) {
         let newGesture = newGestureInput; // work with a mutable copy
 
         // Sanitize newGesture: if it's 'unknown', treat it as 'none' for decision making below.
         if (newGesture === 'unknown') {
             console.log(`GameEngine: Received 'unknown' gesture from recognizer.`);
             newGesture = 'none'; // Treat 'unknown' as 'none' for the logic that follows
+        } else if (newGesture && newGesture !== 'none' && !this.ruleTable.has(newGesture)) {
+            // Gestures outside the rule table (e.g. custom trained ones) are ignored like 'unknown'
+            console.log(`GameEngine: Ignoring gesture '${newGesture}' with no game rules.`);
+            newGesture = 'none';
         }
 
         if (!newGesture || newGesture === 'none') {
             // Case 1: Incoming gesture is effectively invalid (none, or was unknown)
             if (this.playerGesture === 'none' || !this.playerGesture) {
                 // Subcase 1a: Current player gesture is also 'none' or uninitialized (e.g., at game start before first valid gesture)
-                // -> Default to 'rock' for game logic and visual display.
-                if (this.playerGesture !== 'rock') { // Avoid redundant update if somehow already rock
-                    this.playerGesture = 'rock';
-                    console.log(`GameEngine: No valid gesture input, current player gesture is '${this.playerGesture || 'uninitialized'}'. Defaulting to 'rock'.`);
-                    this.updatePlayerGestureVisual('rock');
+                // -> Default to the first gesture in the rule table for game logic and visual display.
+                const defaultGesture = this.getDefaultGesture();
+                if (this.playerGesture !== defaultGesture) { // Avoid redundant update if somehow already the default
+                    console.log(`GameEngine: No valid gesture input, current player gesture is '${this.playerGesture || 'uninitialized'}'. Defaulting to '${defaultGesture}'.`);
+                    this.playerGesture = defaultGesture;
+                    this.gestureLockTime = lockedAt;
+                    this.updatePlayerGestureVisual(defaultGesture);
                 }
             } else {
                 // Subcase 1b: Current player gesture is valid. Maintain it.
@@ -449,7 +852,7 @@ export class GameEngine {
             return; // Exit after handling invalid/unknown input
         }
 
-        // Case 2: Incoming gesture is valid (rock, paper, or scissors)
+        // Case 2: Incoming gesture is valid (in the rule table)
         if (this.playerGesture === newGesture) {
             // console.log(`GameEngine: Player gesture "${newGesture}" is already active.`);
             return; // No change needed if the new valid gesture is the same as the current one.
@@ -457,34 +860,129 @@ export class GameEngine {
         
         // New valid gesture is different from current player gesture.
         this.playerGesture = newGesture;
+        this.gestureLockTime = lockedAt;
         console.log(`GameEngine: Player gesture for logic set to: "${this.playerGesture}".`);
         this.updatePlayerGestureVisual(this.playerGesture);
     }
 
+    // Map a recognizer timestamp onto simulation time: how long ago it was
+    // seen, scaled by the clock, counted back from the current step
+    getLockTime(timestamp) {
+        if (timestamp === null || timestamp === undefined) return this.clock.time;
+        const age = Math.min(Math.max(0, Date.now() - timestamp), this.maxInputAge) * this.clock.timeScale;
+        return Math.max(0, Math.round(this.clock.time - age));
+    }
+
+    // Grade a hit by how far ahead of contact the gesture was locked in
+    judgeTiming(impactTime) {
+        const lead = impactTime - this.gestureLockTime;
+        const judgement = this.timingGrades.find(grade => lead >= grade.minLead) || this.timingGrades[this.timingGrades.length - 1];
+        return { ...judgement, lead: Math.round(lead) };
+    }
+
     update(deltaTime) {
-        if (!this.isRunning) return;
+        if (!this.isRunning || this.isPaused) return;
+
+        // Run as many fixed simulation steps as the elapsed frame time covers
+        const steps = this.clock.advance(deltaTime);
+        for (let i = 0; i < steps && this.isRunning; i++) {
+            this.step();
+        }
+        
+        // Update hints
+        this.updateHints();
+        this.updateInvulnerabilityBlink();
+        this.updatePowerUpEffects();
+        this.updateMode();
+        
+        // Update scene effects
+        this.sceneManager.update(deltaTime);
+    }
+
+    step() {
+        this.clock.step();
+        
+        // Timed modes end when the clock runs out
+        if (this.getTimeLeft() === 0) {
+            this.gameOver({ cause: 'timeUp' });
+            return;
+        }
+        
+        // Apply input received since the last step
+        if (this.replayInputs) {
+            while (this.replayInputIndex < this.replayInputs.length &&
+                   this.replayInputs[this.replayInputIndex].tick <= this.clock.tick) {
+                const input = this.replayInputs[this.replayInputIndex];
+                if (input.lane !== undefined) {
+                    this.playerLane = input.lane;
+                } else {
+                    this.applyPlayerGesture(input.gesture, input.lockedAt);
+                }
+                this.replayInputIndex++;
+            }
+        } else {
+            if (this.pendingLane !== null) {
+                this.replayRecorder.recordInput(this.clock.tick, this.clock.time, { lane: this.pendingLane });
+                this.playerLane = this.pendingLane;
+                this.pendingLane = null;
+            }
+            if (this.pendingGesture !== null) {
+                // Recorded so replays judge timing the same way
+                const lockedAt = this.getLockTime(this.pendingGestureTimestamp);
+                this.replayRecorder.recordInput(this.clock.tick, this.clock.time, { gesture: this.pendingGesture, lockedAt: lockedAt });
+                this.applyPlayerGesture(this.pendingGesture, lockedAt);
+                this.pendingGesture = null;
+                this.pendingGestureTimestamp = null;
+            }
+        }
+        
+        // Power-ups that ran out stop affecting this step
+        this.powerUps.update(this.clock.time);
+        
+        const playerPreviousPosition = this.playerGestureObject.position.clone();
+        this.movePlayerTowardsLane();
 
         // Clamp player Y-position
         if (this.playerGestureObject) {
             this.playerGestureObject.position.y = 1.0;
         }
         
-        // More gradual speed scaling
-        this.speed = Math.min(1.0 + (this.score * 0.03), 4.0);
-        const currentSpeed = this.baseSpeed * this.speed;
+        // Animate player gesture (per step, since it moves the player's bounding box)
+        this.animatePlayerGesture();
+        
+        // Levels set the speed per wave; endless runs speed up with the score
+        if (this.levelScript) {
+            this.speed = this.levelScript.getSpeed();
+        } else {
+            // More gradual speed scaling
+            this.speed = Math.min(1.0 + (this.score * 0.03), this.mode.maxSpeed) * this.difficultyAdjustments.speed;
+        }
+        const currentSpeed = this.baseSpeed * this.speed * this.getSpeedMultiplier();
         
         // Update obstacles
-        this.obstacleManager.update(currentSpeed);
+        this.obstacleManager.update(currentSpeed, this.clock.time);
         
         // Controlled obstacle spawning
-        if (Date.now() >= this.nextSpawnTime) {
-            this.obstacleManager.spawnRandomObstacle();
-            this.scheduleNextSpawn();
+        if (this.levelScript) {
+            this.levelScript.update(this.clock.time, (entry, time) => this.spawnLevelEntry(entry, time));
+        } else if (this.clock.time >= this.nextSpawnTime) {
+            if (this.pendingObstacle) {
+                this.spawnFairObstacle();
+            } else if (this.shouldSpawnHealthPickup()) {
+                this.obstacleManager.spawnRandomPickup('health', this.clock.time);
+            } else if (this.shouldSpawnPowerUp()) {
+                this.obstacleManager.spawnRandomPowerUp(this.clock.time);
+            } else if (this.fairSpawning) {
+                this.spawnFairObstacle();
+            } else {
+                this.obstacleManager.spawnRandomObstacle(this.clock.time, this.getVariantChance());
+            }
+            // A held-back obstacle has already set when to try again
+            if (!this.pendingObstacle) {
+                this.scheduleNextSpawn();
+            }
         }
         
-        // Update hints
-        this.updateHints();
-        
         // Check collisions
         const obstacles = this.obstacleManager.getActiveObstacles();
         for (let obstacle of obstacles) {
@@ -500,25 +998,298 @@ export class GameEngine {
                 console.log(`[BBoxDebug] Intersection Check Result: ${playerBox.intersectsBox(obstacleBox)}`);
             }
 
-            // Check collision with player
-            if (this.collisionDetector.checkCollision(this.playerGestureObject, obstacle.mesh)) {
-                this.handleCollision(obstacle);
+            // Check collision with player, along the whole path moved this step
+            const impact = this.collisionDetector.sweepCollision(
+                this.playerGestureObject, obstacle.mesh, obstacle.previousPosition, playerPreviousPosition
+            );
+            if (impact) {
+                this.handleCollision(obstacle, impact);
                 break;
             }
             
-            // Check if obstacle passed without interaction (game over)
-            if (obstacle.mesh.position.z > 5) {
-                console.log(`[GameOverDebug] Obstacle passed triggering GameOver. Obstacle Type: "${obstacle.type}", Z-Pos: ${obstacle.mesh.position.z.toFixed(2)}. Player Gesture: "${this.playerGesture}"`);
-                this.gameOver();
-                break;
+            // Obstacles in other lanes are dodged and just pass by
+            if (obstacle.mesh.position.z > 5 && !obstacle.dodged && obstacle.lane !== this.playerLane) {
+                obstacle.dodged = true;
+                continue;
+            }
+            
+            // Check if obstacle passed without interaction (costs health, or game over in hardcore)
+            if (obstacle.mesh.position.z > 5 && !obstacle.dodged) {
+                console.log(`[GameOverDebug] Obstacle passed without interaction. Obstacle Type: "${obstacle.type}", Z-Pos: ${obstacle.mesh.position.z.toFixed(2)}. Player Gesture: "${this.playerGesture}"`);
+                this.takeDamage({ cause: 'missed', obstacleType: obstacle.type, variant: obstacle.variant, obstacleZ: obstacle.mesh.position.z }, obstacle);
+                if (!this.isRunning) break;
             }
         }
         
-        // Update scene effects
-        this.sceneManager.update(deltaTime);
+        if (this.isRunning) {
+            this.checkPickups(playerPreviousPosition);
+        }
         
-        // Animate player gesture
-        this.animatePlayerGesture();
+        // A level is won once every scripted spawn has been dealt with
+        if (this.isRunning && this.levelScript && this.levelScript.isFinished() &&
+            this.obstacleManager.getActiveObstacles().length === 0 &&
+            this.obstacleManager.getActivePickups().length === 0) {
+            this.gameOver({ cause: 'levelComplete', level: this.level ? this.level.id : null });
+        }
+    }
+
+    // Returns false when there's no room on the track yet, so the script waits
+    spawnLevelEntry(entry, time) {
+        // Levels written for more lanes still play on fewer (e.g. in a race)
+        const lane = Math.min(entry.lane, this.obstacleManager.laneCount - 1);
+        switch (entry.kind) {
+            case 'obstacle': {
+                const type = entry.type === 'random' ? this.random.pick(this.ruleTable.getGestures()) : entry.type;
+                const variant = entry.variant ? this.obstacleManager.pickVariant(type, entry.variant, entry.morphTo) : null;
+                if (!this.fairSpawning) {
+                    return !!this.obstacleManager.spawnObstacle(type, lane, time, variant);
+                }
+                
+                // Level spacing is the designer's call, so tight spots are only flagged
+                const choice = { type: type, lane: lane, variant: variant };
+                const assessment = this.assessSpawn(choice);
+                const obstacle = this.spawnChoice(choice, assessment);
+                if (obstacle && !assessment.check.fair) {
+                    this.flagHardPattern(obstacle, assessment.check);
+                }
+                return !!obstacle;
+            }
+            case 'powerUp':
+            case 'pickup':
+                return !!this.obstacleManager.spawnPickup(entry.type, lane, time);
+            default:
+                return true;
+        }
+    }
+
+    // Checks the next obstacle against the last one at the current speed.
+    // `choice` is { type, lane, variant } as from chooseRandomObstacle.
+    assessSpawn(choice) {
+        const unitsPerMs = this.baseSpeed * this.speed * this.getSpeedMultiplier() / this.clock.fixedStep;
+        const spawnZ = this.obstacleManager.spawnDistance;
+        const playerZ = this.playerGestureObject.position.z;
+        
+        // Morphing obstacles are answered as what they turn into
+        const finalType = choice.variant && choice.variant.morphTo ? choice.variant.morphTo : choice.type;
+        const next = { answers: this.getAnswers(finalType, choice.variant ? choice.variant.kind : null), lane: choice.lane };
+        
+        // Once the last obstacle has been dealt with, the next one has the whole track
+        const last = this.lastSpawnedObstacle;
+        const previous = last && this.obstacleManager.getActiveObstacles().includes(last.obstacle) ? last : null;
+        const gap = previous ? (previous.obstacle.mesh.position.z - spawnZ) / unitsPerMs : Infinity;
+        const visibleFor = (playerZ - this.obstacleManager.getRevealZ(choice.variant)) / unitsPerMs;
+        
+        return { next: next, check: this.fairness.check(previous, next, gap, visibleFor) };
+    }
+
+    // Holds the next obstacle back until the player has time to switch to its
+    // answer, unless it's kept on purpose as a hard pattern
+    spawnFairObstacle() {
+        const choice = this.pendingObstacle || this.obstacleManager.chooseRandomObstacle(this.getVariantChance());
+        this.pendingObstacle = null;
+        
+        const assessment = this.assessSpawn(choice);
+        const check = assessment.check;
+        // Waiting doesn't help an obstacle that reveals itself too late
+        const isHard = !check.fair &&
+            (check.reasons.includes('reveal') || this.fairness.allowHardPattern(this.speed, this.random, this.difficultyAdjustments.complexity));
+        
+        if (!check.fair && !isHard) {
+            this.pendingObstacle = choice;
+            this.nextSpawnTime = this.clock.time + (check.needed - check.available);
+            return;
+        }
+        
+        const obstacle = this.spawnChoice(choice, assessment);
+        if (!obstacle) {
+            // No room yet (e.g. a pickup just went out); try again next step
+            this.pendingObstacle = choice;
+            return;
+        }
+        if (isHard) {
+            this.flagHardPattern(obstacle, check);
+        }
+    }
+
+    spawnChoice(choice, assessment) {
+        const mesh = this.obstacleManager.spawnObstacle(choice.type, choice.lane, this.clock.time, choice.variant);
+        if (!mesh) return null;
+        
+        const obstacle = this.obstacleManager.getActiveObstacles().find(entry => entry.mesh === mesh);
+        this.lastSpawnedObstacle = { answers: assessment.next.answers, lane: choice.lane, obstacle: obstacle };
+        return obstacle;
+    }
+
+    flagHardPattern(obstacle, check) {
+        this.obstacleManager.markHardPattern(obstacle, check);
+        this.hardPatternCount++;
+        console.log(`[Fairness] Hard pattern: ${obstacle.type} needs ${Math.round(check.needed)}ms, has ${Math.round(check.available)}ms (${check.reasons.join(', ')})`);
+    }
+
+    // Counts one obstacle's outcome for the mode HUD and feeds it to adaptive
+    // difficulty. Levels set their own pace; a script that wants to react to
+    // outcomes (see TutorialScript) is told instead.
+    recordPerformance(success, obstacle, lead = 0, impactTime = this.clock.time) {
+        if (success) {
+            this.hits++;
+        } else {
+            this.mistakes++;
+        }
+        if (this.levelScript && this.levelScript.recordOutcome && obstacle) {
+            this.levelScript.recordOutcome(success, obstacle, impactTime);
+        }
+        if (!this.isAdaptive || this.levelScript || !obstacle) return;
+        
+        const approach = impactTime - obstacle.spawnTime;
+        const latency = Math.max(0, Math.min(approach, this.gestureLockTime - obstacle.spawnTime));
+        if (this.adaptiveDifficulty.record(success, lead, latency, approach)) {
+            this.setDifficulty(this.adaptiveDifficulty.getAdjustments());
+            console.log(`[Difficulty] ${this.adaptiveDifficulty.lastChange} -> level ${this.adaptiveDifficulty.level.toFixed(2)}`);
+        }
+        this.updateDifficulty();
+    }
+
+    getVariantChance() {
+        return this.speed >= this.variantMinSpeed ? Math.min(1, this.variantChance * this.difficultyAdjustments.complexity) : 0;
+    }
+
+    isLevelComplete() {
+        return !!this.gameOverReason && this.gameOverReason.cause === 'levelComplete';
+    }
+
+    // Pickups in the player's path are collected with any gesture
+    checkPickups(playerPreviousPosition) {
+        this.obstacleManager.getActivePickups().forEach(pickup => {
+            const impact = this.collisionDetector.sweepCollision(
+                this.playerGestureObject, pickup.mesh, pickup.previousPosition, playerPreviousPosition
+            );
+            if (impact) {
+                this.collectPickup(pickup, impact);
+            }
+        });
+    }
+
+    collectPickup(pickup, impact) {
+        this.obstacleManager.removePickup(pickup);
+        
+        let label = { label: '+❤️', color: '#FF3355' };
+        if (pickup.kind === 'health' && this.healthSettings) {
+            this.health = Math.min(this.healthSettings.maxHealth, this.health + this.healthSettings.pickupHeal);
+            this.updateHealth();
+        } else if (PowerUpManager.isPowerUp(pickup.kind)) {
+            const definition = PowerUpManager.getDefinition(pickup.kind);
+            this.powerUps.activate(pickup.kind, this.clock.time);
+            label = { label: `${definition.icon} ${definition.label}`, color: `#${definition.color.toString(16).padStart(6, '0')}` };
+            console.log(`GameEngine: Power-up "${pickup.kind}" active`);
+        }
+        
+        if (!this.isFastForwarding) {
+            this.audioManager.playPowerUpSound();
+            this.sceneManager.createSuccessEffect(impact.position, null, label);
+        }
+    }
+
+    shouldSpawnPowerUp() {
+        return this.powerUpChance > 0 && this.random.next() < this.powerUpChance;
+    }
+
+    getSpeedMultiplier() {
+        return this.powerUps.isActive('slowMo') ? PowerUpManager.POWER_UPS.slowMo.speedMultiplier : 1;
+    }
+
+    getScoreMultiplier() {
+        const powerUp = this.powerUps.isActive('doublePoints') ? PowerUpManager.POWER_UPS.doublePoints.scoreMultiplier : 1;
+        return powerUp * this.mode.scoreMultiplier;
+    }
+
+    // HUD timers and scene effects for running power-ups
+    updatePowerUpEffects() {
+        const position = this.isRunning && this.playerGestureObject ? this.playerGestureObject.position : null;
+        this.sceneManager.updatePowerUpEffects(this.powerUps.getActiveKinds(), position);
+        
+        if (this.onPowerUpUpdateCallback) {
+            this.onPowerUpUpdateCallback(this.powerUps.getStatus(this.clock.time));
+        }
+    }
+
+    // Hearts only show up while hurt, so never in hardcore or at full health
+    shouldSpawnHealthPickup() {
+        return !!this.healthSettings &&
+            this.health < this.healthSettings.maxHealth &&
+            this.random.next() < this.healthSettings.pickupChance;
+    }
+
+    // A mistake: game over in hardcore, otherwise the obstacle is knocked
+    // away and health is lost (unless still invulnerable from the last hit)
+    takeDamage(reason, obstacle) {
+        if (obstacle && obstacle.hardPattern) {
+            reason = { ...reason, hardPattern: true };
+        }
+        this.recordPerformance(false, obstacle);
+        
+        // A shield charge takes the hit instead, even in hardcore
+        if (this.powerUps.consumeCharge('shield')) {
+            console.log(`[CollisionDebug] Shield absorbed ${reason.cause}.`);
+            this.obstacleManager.removeObstacle(obstacle);
+            if (!this.isFastForwarding) {
+                this.audioManager.playCollisionSound();
+            }
+            return;
+        }
+        
+        // No-fail modes only break the combo, and maybe take time off the clock
+        if (this.mode.noFail) {
+            this.obstacleManager.removeObstacle(obstacle);
+            this.combo = 0;
+            this.updateCombo();
+            this.timePenalty += this.mode.timePenalty;
+            if (!this.isFastForwarding) {
+                this.audioManager.playErrorSound();
+            }
+            return;
+        }
+        
+        if (this.isHardcore()) {
+            this.gameOver(reason);
+            return;
+        }
+        
+        this.obstacleManager.removeObstacle(obstacle);
+        this.combo = 0;
+        this.updateCombo();
+        
+        const damage = this.healthSettings.damage[reason.cause] || 0;
+        if (damage > 0 && !this.isInvulnerable()) {
+            this.health = Math.max(0, this.health - damage);
+            this.invulnerableUntil = this.clock.time + this.healthSettings.invulnerability;
+            this.updateHealth();
+            console.log(`[CollisionDebug] Lost ${damage} health (${reason.cause}). Health: ${this.health}/${this.healthSettings.maxHealth}`);
+            
+            if (this.health <= 0) {
+                this.gameOver(reason);
+                return;
+            }
+            if (!this.isFastForwarding) {
+                this.sceneManager.createScreenShake();
+            }
+        }
+        
+        if (!this.isFastForwarding) {
+            this.audioManager.playErrorSound();
+        }
+    }
+
+    // The player's hand flickers while mistakes are forgiven
+    updateInvulnerabilityBlink() {
+        if (!this.playerGestureObject) return;
+        
+        const blinking = this.isRunning && this.isInvulnerable();
+        if (blinking) {
+            this.playerGestureObject.visible = Math.floor(this.clock.time / 100) % 2 === 0;
+        } else if (this.isBlinking) {
+            this.playerGestureObject.visible = true;
+        }
+        this.isBlinking = blinking;
     }
 
     updateHints() {
@@ -529,23 +1300,26 @@ export class GameEngine {
             hint.visible = false;
         });
         
-        if (!this.showHints) return;
+        if (!this.showHints && !this.powerUps.isActive('autoHint')) return;
         
         // Show hints for obstacles in range
         obstacles.forEach(obstacle => {
+            // Disguised obstacles give nothing away until they're revealed
+            if (obstacle.hidden) return;
+            
             const distance = obstacle.mesh.position.z - this.playerGestureObject.position.z;
             
             // Show hint when obstacle is at medium distance
             if (distance < -3 && distance > -8) {
-                const laneIndex = obstacle.lane + 1; // Convert -1,0,1 to 0,1,2
+                const laneIndex = obstacle.lane;
                 if (laneIndex >= 0 && laneIndex < this.hintObjects.length) {
                     const hint = this.hintObjects[laneIndex];
                     hint.visible = true;
                     
                     // Set hint color based on required gesture
-                    const requiredGesture = this.getRequiredGesture(obstacle.type);
-                    const color = this.gestureColors[requiredGesture] || 0xffffff;
-                    hint.material.color.setHex(color);
+                    const requiredGesture = this.getRequiredGesture(obstacle.type, obstacle.variant);
+                    const color = this.ruleTable.getColor(requiredGesture);
+                    hint.material.color.setHex(color !== null ? color : 0xffffff);
                     
                     // Animate hint
                     const time = Date.now() * 0.01;
@@ -556,54 +1330,100 @@ export class GameEngine {
         }); // Closes: obstacles.forEach(obstacle => {
     } // Closes: updateHints()
 
-    handleCollision(obstacle) {
+    // `impact` comes from the swept test: where and when in the step the obstacle reached the player
+    handleCollision(obstacle, impact = null) {
         const obstacleType = obstacle.type;
-        const requiredGesture = this.getRequiredGesture(obstacleType);
+        const requiredGesture = this.getRequiredGesture(obstacleType, obstacle.variant);
+        const impactTime = this.getImpactTime(impact);
+        const impactPosition = impact ? impact.position : obstacle.mesh.position;
 
-        console.log(`[CollisionDebug] Player Gesture: "${this.playerGesture}", Obstacle Type: "${obstacleType}", Required Gesture to Win: "${requiredGesture}"`);
+        console.log(`[CollisionDebug] Player Gesture: "${this.playerGesture}", Obstacle Type: "${obstacleType}", Required Gesture to Win: "${requiredGesture}", Impact Time: ${impactTime}ms`);
 
         if (this.playerGesture === 'none' || !this.playerGesture) {
-            console.log("[CollisionDebug] Result: Player gesture is 'none' or invalid. Triggering GameOver.");
-            this.gameOver();
+            console.log("[CollisionDebug] Result: Player gesture is 'none' or invalid.");
+            this.takeDamage({ cause: 'noGesture', obstacleType: obstacleType, variant: obstacle.variant, impactTime: impactTime }, obstacle);
             return;
         }
 
-        if (this.playerGesture === requiredGesture) {
-            const basePoints = 10;
+        // Mirror obstacles flip the rules: the gesture that would lose wins
+        let result = this.ruleTable.judge(this.playerGesture, obstacleType);
+        if (obstacle.variant === 'mirror' && result !== 'tie') {
+            result = result === 'win' ? 'lose' : 'win';
+        }
+        // A wildcard beats anything while it lasts
+        if (this.powerUps.isActive('wildcard')) {
+            result = 'win';
+        }
+        if (result === 'win') {
+            const basePoints = this.ruleTable.scoring.win;
             const speedBonus = Math.floor(this.speed * 5);
             const comboBonus = this.combo * 2;
-            const points = basePoints + speedBonus + comboBonus;
+            const judgement = this.judgeTiming(impactTime);
+            const points = Math.round((basePoints + speedBonus + comboBonus) * judgement.multiplier * this.getScoreMultiplier());
 
             this.score += points;
-            this.combo++;
+            if (judgement.combo === 'add') {
+                this.combo++;
+            } else if (judgement.combo === 'reset') {
+                this.combo = 0;
+            }
             this.maxCombo = Math.max(this.maxCombo, this.combo);
+            this.recordPerformance(true, obstacle, judgement.lead, impactTime);
 
-            this.audioManager.playSuccessSound();
             this.obstacleManager.removeObstacle(obstacle);
             this.updateScore();
             this.updateCombo();
-            this.sceneManager.createSuccessEffect(obstacle.mesh.position, points);
 
-            if (this.combo > 5) {
-                this.createScreenShake();
+            if (!this.isFastForwarding) {
+                this.audioManager.playSuccessSound();
+                this.sceneManager.createSuccessEffect(impactPosition, points, judgement);
+
+                if (this.combo > 5) {
+                    this.createScreenShake();
+                }
             }
-            console.log("[CollisionDebug] Result: Player WINS interaction.");
-        } else if (this.playerGesture === obstacleType) {
+            console.log(`[CollisionDebug] Result: Player WINS interaction. Timing: ${judgement.grade} (${judgement.lead}ms lead).`);
+        } else if (result === 'tie') {
             console.log(`[CollisionDebug] Result: Player TIES with obstacle. Player: ${this.playerGesture}, Obstacle: ${obstacleType}. Deducting points.`);
-            this.score -= 10*this.speed;
+            const tieReason = { cause: 'tie', obstacleType: obstacleType, variant: obstacle.variant, impactTime: impactTime };
+            
+            // No-fail modes never lose the run on a tie, whatever their health
+            // settings; takeDamage breaks the combo and applies any time penalty
+            if (this.mode.noFail) {
+                this.takeDamage(tieReason, obstacle);
+                return;
+            }
+            // A shield charge takes a tie like any other mistake, before it costs any points
+            if (this.powerUps.isActive('shield')) {
+                this.takeDamage(tieReason, obstacle);
+                return;
+            }
+            
+            this.score += this.ruleTable.scoring.tie * this.speed;
+            
+            if (!this.isHardcore()) {
+                // With lives the score bottoms out at zero and the tie costs health instead
+                this.score = Math.max(0, this.score);
+                this.updateScore();
+                this.takeDamage(tieReason, obstacle);
+                return;
+            }
             this.updateScore(); // Update score display immediately
+            this.recordPerformance(false, obstacle);
 
             if (this.score < 0) {
                 console.log("[CollisionDebug] Score became negative. Triggering GameOver.");
-                if (this.audioManager && typeof this.audioManager.playErrorSound === 'function') {
+                if (!this.isFastForwarding && this.audioManager && typeof this.audioManager.playErrorSound === 'function') {
                     this.audioManager.playErrorSound(); // Play sound on game over due to negative score
                 }
-                this.gameOver();
+                this.gameOver({ cause: 'negativeScore', obstacleType: obstacleType, variant: obstacle.variant, impactTime: impactTime });
                 return; 
             }
             this.combo = 0;
 
-            if (this.audioManager && typeof this.audioManager.playErrorSound === 'function') {
+            if (this.isFastForwarding) {
+                // Seeking a replay: stay silent
+            } else if (this.audioManager && typeof this.audioManager.playErrorSound === 'function') {
                 this.audioManager.playErrorSound();
             } else {
                 console.warn("[AudioManager] playErrorSound method not found or audioManager is not available. Skipping penalty sound.");
@@ -614,11 +1434,18 @@ export class GameEngine {
             this.updateCombo();
             console.log(`[CollisionDebug] Game continues after tie/penalty. Current score: ${this.score}`);
         } else {
-            console.log(`[CollisionDebug] Result: Player LOSES interaction (Wrong gesture: Player ${this.playerGesture} vs Obstacle ${obstacleType}, Required ${requiredGesture}). Triggering GameOver.`);
-            this.gameOver();
+            console.log(`[CollisionDebug] Result: Player LOSES interaction (Wrong gesture: Player ${this.playerGesture} vs Obstacle ${obstacleType}, Required ${requiredGesture}).`);
+            this.takeDamage({ cause: 'wrongGesture', obstacleType: obstacleType, variant: obstacle.variant, impactTime: impactTime }, obstacle);
         }
     }
 
+    // Simulation time (ms) at which the obstacle touched the player, inside the last step
+    getImpactTime(impact) {
+        const stepStart = this.clock.time - this.clock.fixedStep;
+        const fraction = impact ? impact.time : 1;
+        return Math.round((stepStart + fraction * this.clock.fixedStep) * 100) / 100;
+    }
+
     createScreenShake() {
         const originalPosition = this.camera.position.clone();
         const shakeIntensity = Math.min(0.1, this.combo * 0.01);
@@ -643,13 +1470,46 @@ export class GameEngine {
         }, interval);
     }
 
-    getRequiredGesture(obstacleType) {
-        // Return the gesture that beats the obstacle
-        switch (obstacleType) {
-            case 'rock': return 'paper';     // paper beats rock
-            case 'paper': return 'scissors'; // scissors beats paper
-            case 'scissors': return 'rock';  // rock beats scissors
-            default: return 'none';
+    // The first answer, used for hints; any of them scores
+    getRequiredGesture(obstacleType, variant = null) {
+        const answers = this.getAnswers(obstacleType, variant);
+        return answers.length > 0 ? answers[0] : 'none';
+    }
+
+    // Every gesture that deals with the obstacle
+    getAnswers(obstacleType, variant = null) {
+        // Mirror obstacles want a gesture they beat
+        if (variant === 'mirror') {
+            return this.ruleTable.getGestures().filter(gesture => this.ruleTable.beats(obstacleType, gesture));
+        }
+        return this.ruleTable.getCounters(obstacleType);
+    }
+
+    updateMode() {
+        if (this.onModeUpdateCallback) {
+            this.onModeUpdateCallback({
+                mode: this.mode,
+                timeLeft: this.getTimeLeft(),
+                hits: this.hits,
+                mistakes: this.mistakes
+            });
+        }
+    }
+
+    updateDifficulty() {
+        if (this.onDifficultyUpdateCallback) {
+            this.onDifficultyUpdateCallback({
+                ...this.adaptiveDifficulty.getStatus(),
+                active: this.isAdaptive && !this.levelScript,
+                runSpeed: this.speed,
+                hardPatterns: this.hardPatternCount
+            });
+        }
+    }
+
+    updateHealth() {
+        if (this.onHealthUpdateCallback) {
+            this.onHealthUpdateCallback(this.health, this.healthSettings ? this.healthSettings.maxHealth : 0);
         }
     }
 
@@ -665,15 +1525,33 @@ export class GameEngine {
         }
     }
 
-    gameOver() {
+    gameOver(reason = null) {
         console.log(`[GameOverDebug] gameOver() method entered. Player Gesture: "${this.playerGesture}", Score: ${this.score}, Max Combo: ${this.maxCombo}, IsRunning: ${this.isRunning}`);
         if (!this.isRunning) {
-            console.warn("[GameOverDebug] gameOver() called, but game is already not running. This might indicate multiple gameOver triggers.");
-            // return; // Optional: prevent multiple executions if it causes issues, but log first.
+            console.warn("[GameOverDebug] gameOver() called, but game is already not running. Ignoring repeated gameOver trigger.");
+            return;
         }
         this.isRunning = false;
         this.combo = 0;
-        this.sceneManager.createGameOverEffect();
+        this.updateInvulnerabilityBlink();
+        this.powerUps.reset();
+        this.updatePowerUpEffects();
+        
+        // Keep what ended the run, so replays can show why
+        this.gameOverReason = reason ? {
+            ...reason,
+            playerGesture: this.playerGesture,
+            tick: this.clock.tick,
+            time: Math.round(this.clock.time)
+        } : null;
+        
+        if (this.replayRecorder.isRecording()) {
+            this.lastReplay = this.replayRecorder.finish(this.clock.tick, this.score, this.maxCombo, this.gameOverReason);
+        }
+        
+        if (!this.isFastForwarding && !this.isLevelComplete()) {
+            this.sceneManager.createGameOverEffect();
+        }
         
         if (this.onGameOverCallback) {
             this.onGameOverCallback(this.score, this.maxCombo);
@@ -681,6 +1559,8 @@ export class GameEngine {
     }
 
     startRenderLoop() {
+        if (this.animationId) return;
+        
         const animate = (currentTime) => {
             this.animationId = requestAnimationFrame(animate);
             
@@ -694,6 +1574,13 @@ export class GameEngine {
         animate(0);
     }
 
+    stopRenderLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
     // Settings
     toggleHints() {
         this.showHints = !this.showHints;
@@ -702,24 +1589,12 @@ export class GameEngine {
         }
     }
 
-    setDifficulty(level) {
-        switch (level) {
-            case 'easy':
-                this.minSpawnInterval = 3000;
-                this.baseSpeed = 0.01;
-                this.speedIncrement = 0.0003;
-                break;
-            case 'normal':
-                this.minSpawnInterval = 2000;
-                this.baseSpeed = 0.015;
-                this.speedIncrement = 0.0005;
-                break;
-            case 'hard':
-                this.minSpawnInterval = 1500;
-                this.baseSpeed = 0.02;
-                this.speedIncrement = 0.0008;
-                break;
-        }
+    // Multipliers from AdaptiveDifficulty.getAdjustments: `speed` on the run's
+    // speed, `spacing` on spawn interval and obstacle distance, `complexity`
+    // on how often variants and hard patterns turn up
+    setDifficulty(adjustments) {
+        this.difficultyAdjustments = adjustments;
+        this.obstacleManager.updateDifficulty(adjustments.spacing);
     }
 
     dispose() {
@@ -0,0 +1,100 @@
+export const GameState = Object.freeze({
+    LOADING: 'loading',
+    MENU: 'menu',
+    CALIBRATING: 'calibrating',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    GAME_OVER: 'gameOver',
+    REPLAY: 'replay',
+    DUEL: 'duel',
+    TUTORIAL: 'tutorial'
+});
+
+// Which states can be entered from each state. Anything else is rejected,
+// so e.g. a second game over while already on the game over screen is a no-op.
+const TRANSITIONS = {
+    [GameState.LOADING]: [GameState.MENU],
+    [GameState.MENU]: [GameState.CALIBRATING, GameState.COUNTDOWN, GameState.REPLAY, GameState.DUEL, GameState.TUTORIAL],
+    [GameState.CALIBRATING]: [GameState.MENU],
+    [GameState.COUNTDOWN]: [GameState.PLAYING, GameState.MENU],
+    [GameState.PLAYING]: [GameState.PAUSED, GameState.GAME_OVER, GameState.COUNTDOWN, GameState.MENU],
+    [GameState.PAUSED]: [GameState.PLAYING, GameState.COUNTDOWN, GameState.MENU],
+    [GameState.GAME_OVER]: [GameState.COUNTDOWN, GameState.REPLAY, GameState.MENU],
+    [GameState.REPLAY]: [GameState.MENU],
+    [GameState.DUEL]: [GameState.MENU],
+    [GameState.TUTORIAL]: [GameState.COUNTDOWN, GameState.DUEL, GameState.MENU]
+};
+
+// Central app state. Managers subscribe to enter/exit hooks instead of the
+// game tracking state in several places.
+export class GameStateMachine {
+    constructor(initialState = GameState.LOADING) {
+        this.state = initialState;
+        this.previousState = null;
+        this.enterHooks = {};
+        this.exitHooks = {};
+        this.changeListeners = [];
+        this.isTransitioning = false;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    can(nextState) {
+        const allowed = TRANSITIONS[this.state] || [];
+        return allowed.includes(nextState);
+    }
+
+    // Hooks are called with (data, otherState): the state being left for
+    // enter hooks, the state being entered for exit hooks
+    onEnter(state, hook) {
+        (this.enterHooks[state] = this.enterHooks[state] || []).push(hook);
+        return () => this.removeHook(this.enterHooks[state], hook);
+    }
+
+    onExit(state, hook) {
+        (this.exitHooks[state] = this.exitHooks[state] || []).push(hook);
+        return () => this.removeHook(this.exitHooks[state], hook);
+    }
+
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => this.removeHook(this.changeListeners, listener);
+    }
+
+    removeHook(hooks, hook) {
+        const index = hooks ? hooks.indexOf(hook) : -1;
+        if (index !== -1) hooks.splice(index, 1);
+    }
+
+    // Returns false (and changes nothing) if the transition is not allowed
+    transition(nextState, data = {}) {
+        if (this.isTransitioning) {
+            console.warn(`GameStateMachine: Ignoring ${this.state} -> ${nextState}, a transition is already in progress`);
+            return false;
+        }
+        if (!this.can(nextState)) {
+            console.warn(`GameStateMachine: Invalid transition ${this.state} -> ${nextState}`);
+            return false;
+        }
+
+        const previousState = this.state;
+        this.isTransitioning = true;
+        try {
+            (this.exitHooks[previousState] || []).forEach(hook => hook(data, nextState));
+
+            this.previousState = previousState;
+            this.state = nextState;
+
+            (this.enterHooks[nextState] || []).forEach(hook => hook(data, previousState));
+            this.changeListeners.forEach(listener => listener(nextState, previousState, data));
+        } finally {
+            this.isTransitioning = false;
+        }
+
+        console.log(`GameStateMachine: ${previousState} -> ${nextState}`);
+        return true;
+    }
+}
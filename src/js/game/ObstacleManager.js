@@ -1,32 +1,39 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { SeededRandom } from './SeededRandom.js';
+import { RuleTable } from '../rules/RuleTable.js';
+import { PowerUpManager } from './PowerUpManager.js';
 
 export class ObstacleManager {
-    constructor(scene) {
+    constructor(scene, ruleTable = RuleTable.fromVariant()) {
         this.scene = scene;
         this.obstacles = [];
-        this.obstaclePool = {
-            rock: [],
-            paper: [],
-            scissors: []
-        };
+        this.obstaclePool = {}; // gesture -> pooled meshes
+        this.pickups = [];      // Collected by touching them with any gesture
+        
+        // Obstacle types, models and colours come from the rule table
+        this.ruleTable = ruleTable;
         this.spawnDistance = -15;
         this.despawnDistance = 8;
         this.minObstacleDistance = 8; // Minimum distance between obstacles
+        this.spacingScale = 1;        // Adaptive difficulty's stretch on that distance
         
-        // GLB Model paths
-        this.modelPaths = {
-            rock: '/assets/models/rock.glb',
-            paper: '/assets/models/paper.glb',
-            scissors: '/assets/models/scissors.glb'
-        };
+        // Lanes are numbered 0..laneCount-1 from left to right and share the track width
+        this.laneCount = 1;
+        this.trackWidth = 6;
         
-        // Loaded models cache
-        this.loadedModels = {
-            rock: null,
-            paper: null,
-            scissors: null
-        };
+        // Variants: morphing obstacles switch type at morphZ, disguised ones
+        // stay hidden until revealZ, mirror ones need the losing gesture
+        this.variants = ['morph', 'disguised', 'mirror'];
+        this.morphZ = -4;
+        this.revealZ = -5;
+        
+        // Seeded randomness shared with GameEngine so runs are reproducible
+        this.random = new SeededRandom();
+        
+        // Loaded models cache, kept across rule tables (gesture -> GLTF, null if it failed)
+        this.loadedModels = {};
+        this.modelRequests = {};
         
         // Loading state
         this.modelsLoaded = false;
@@ -43,54 +50,59 @@ export class ObstacleManager {
     }
 
     createMaterials() {
-        return {
-            rock: new THREE.MeshPhongMaterial({ 
-                color: 0x8B4513,
-                transparent: true,
-                opacity: 0.9,
-                shininess: 30,
-                specular: 0x111111
-            }),
-            paper: new THREE.MeshPhongMaterial({ 
-                color: 0xFFFFFF,
-                side: THREE.DoubleSide,
-                transparent: true,
-                opacity: 0.85,
-                shininess: 100,
-                specular: 0x222222
-            }),
-            scissors: new THREE.MeshPhongMaterial({ 
-                color: 0xC0C0C0,
+        const materials = {};
+        this.ruleTable.getGestures().forEach(type => {
+            const options = this.ruleTable.getMaterial(type);
+            materials[type] = new THREE.MeshPhongMaterial({
+                color: this.ruleTable.getColor(type),
+                side: options.doubleSided ? THREE.DoubleSide : THREE.FrontSide,
                 transparent: true,
-                opacity: 0.9,
-                shininess: 100,
-                specular: 0x444444,
-                metalness: 0.8
-            })
-        };
+                opacity: options.opacity !== undefined ? options.opacity : 0.9,
+                shininess: options.shininess !== undefined ? options.shininess : 30,
+                specular: options.specular !== undefined ? options.specular : 0x111111
+            });
+        });
+        return materials;
+    }
+
+    // Switch gesture sets; models for new gestures load in the background
+    setRuleTable(ruleTable) {
+        this.reset();
+        this.ruleTable = ruleTable;
+        this.materials = this.createMaterials();
+        this.loadingPromise = this.loadModels();
+        return this.loadingPromise;
     }
 
     async loadModels() {
         console.log('Loading GLB models...');
         
-        const loadPromises = Object.keys(this.modelPaths).map(async (type) => {
-            try {
-                const gltf = await this.loadGLTF(this.modelPaths[type]);
-                this.loadedModels[type] = gltf;
-                console.log(`Loaded ${type} model successfully`);
-                return { type, success: true };
-            } catch (error) {
-                console.warn(`Failed to load ${type} model:`, error);
-                console.log(`Will use fallback geometry for ${type}`);
-                return { type, success: false, error };
+        // Gestures without a model always use fallback geometry
+        const types = this.ruleTable.getGestures().filter(type => this.ruleTable.getModelPath(type));
+        const loadPromises = types.map(type => {
+            if (!this.modelRequests[type]) {
+                this.modelRequests[type] = this.loadGLTF(this.ruleTable.getModelPath(type)).then(
+                    (gltf) => {
+                        this.loadedModels[type] = gltf;
+                        console.log(`Loaded ${type} model successfully`);
+                        return { type, success: true };
+                    },
+                    (error) => {
+                        this.loadedModels[type] = null;
+                        console.warn(`Failed to load ${type} model:`, error);
+                        console.log(`Will use fallback geometry for ${type}`);
+                        return { type, success: false, error };
+                    }
+                );
             }
+            return this.modelRequests[type];
         });
 
         const results = await Promise.all(loadPromises);
         
         // Check which models loaded successfully
         const loadedCount = results.filter(r => r.success).length;
-        console.log(`Successfully loaded ${loadedCount}/3 GLB models`);
+        console.log(`Successfully loaded ${loadedCount}/${results.length} GLB models`);
         
         this.modelsLoaded = true;
         
@@ -138,11 +150,12 @@ export class ObstacleManager {
         // Pre-create obstacles for better performance
         const poolSize = 15;
         
-        for (let i = 0; i < poolSize; i++) {
-            this.obstaclePool.rock.push(this.createObstacle('rock'));
-            this.obstaclePool.paper.push(this.createObstacle('paper'));
-            this.obstaclePool.scissors.push(this.createObstacle('scissors'));
-        }
+        this.ruleTable.getGestures().forEach(type => {
+            const pool = this.obstaclePool[type] = this.obstaclePool[type] || [];
+            while (pool.length < poolSize) {
+                pool.push(this.createObstacle(type));
+            }
+        });
         
         console.log('Obstacle pool initialized');
     }
@@ -300,9 +313,50 @@ export class ObstacleManager {
                 mesh = scissorsGroup;
                 break;
                 
+            case 'lizard':
+                const lizardGroup = new THREE.Group();
+                
+                const bodyGeometry = new THREE.CapsuleGeometry(0.25, 0.9, 4, 12);
+                const body = new THREE.Mesh(bodyGeometry, material);
+                body.rotation.z = Math.PI / 2;
+                
+                const headGeometry = new THREE.SphereGeometry(0.3, 12, 8);
+                const head = new THREE.Mesh(headGeometry, material);
+                head.position.set(0.75, 0.05, 0);
+                head.scale.set(1.3, 0.8, 1);
+                
+                const tailGeometry = new THREE.ConeGeometry(0.15, 0.9, 8);
+                const tail = new THREE.Mesh(tailGeometry, material);
+                tail.position.set(-1.0, 0, 0);
+                tail.rotation.z = Math.PI / 2;
+                
+                lizardGroup.add(body, head, tail);
+                mesh = lizardGroup;
+                break;
+                
+            case 'spock':
+                const spockGroup = new THREE.Group();
+                
+                const palmGeometry = new THREE.BoxGeometry(0.9, 0.8, 0.25);
+                const palm = new THREE.Mesh(palmGeometry, material);
+                palm.position.y = -0.4;
+                spockGroup.add(palm);
+                
+                // Four fingers in two pairs, split down the middle
+                const fingerGeometry = new THREE.CylinderGeometry(0.09, 0.09, 0.8, 8);
+                [-0.33, -0.13, 0.13, 0.33].forEach(x => {
+                    const finger = new THREE.Mesh(fingerGeometry, material);
+                    finger.position.set(x + Math.sign(x) * 0.08, 0.35, 0);
+                    finger.rotation.z = -Math.sign(x) * 0.15;
+                    spockGroup.add(finger);
+                });
+                mesh = spockGroup;
+                break;
+                
             default:
+                // Custom gestures: a box in the gesture's colour
                 geometry = new THREE.BoxGeometry(1, 1, 1);
-                mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: 0xff0000 }));
+                mesh = new THREE.Mesh(geometry, material);
         }
         
         return mesh;
@@ -323,7 +377,7 @@ export class ObstacleManager {
             },
             originalScale: mesh.scale.clone(),
             pulsePhase: Math.random() * Math.PI * 2,
-            isGLBModel: this.loadedModels[type] !== null
+            isGLBModel: !!this.loadedModels[type]
         };
         
         // Add glow effect for better visibility
@@ -342,8 +396,12 @@ export class ObstacleManager {
         return this.modelsLoaded;
     }
 
+    setRandom(random) {
+        this.random = random;
+    }
+
     getObstacleFromPool(type) {
-        const pool = this.obstaclePool[type];
+        const pool = this.obstaclePool[type] = this.obstaclePool[type] || [];
         const obstacle = pool.find(obs => !obs.userData.active);
         
         if (obstacle) {
@@ -357,16 +415,16 @@ export class ObstacleManager {
     }
 
     canSpawnObstacle() {
-        // Check if there's enough distance from the last spawned obstacle
-        if (this.obstacles.length === 0) return true;
+        // Check if there's enough distance from the last spawned obstacle or pickup
+        const recent = [this.obstacles[this.obstacles.length - 1], this.pickups[this.pickups.length - 1]];
         
-        const lastObstacle = this.obstacles[this.obstacles.length - 1];
-        const distance = Math.abs(lastObstacle.mesh.position.z - this.spawnDistance);
-        
-        return distance >= this.minObstacleDistance;
+        return recent.every(item => !item ||
+            Math.abs(item.mesh.position.z - this.spawnDistance) >= this.minObstacleDistance * this.spacingScale);
     }
 
-    spawnObstacle(type, lane = 0) {
+    // `variant` is null for a plain obstacle, or { kind: 'morph', morphTo },
+    // { kind: 'disguised' } or { kind: 'mirror' }
+    spawnObstacle(type, lane = 0, time = 0, variant = null) {
         // Don't spawn if too close to existing obstacles
         if (!this.canSpawnObstacle()) {
             return null;
@@ -376,7 +434,7 @@ export class ObstacleManager {
         
         // Reset obstacle properties
         obstacle.position.set(
-            0, // Force center lane (x=0)
+            this.getLaneX(lane),
             1.0, // Adjusted Y-position to 1.0 to match player gesture (prev 0.5)
             this.spawnDistance
         );
@@ -388,14 +446,15 @@ export class ObstacleManager {
         obstacle.userData.lane = lane;
         
         // Add slight random variations
-        const scaleVariation = 0.8 + Math.random() * 0.4; // 0.8 to 1.2 scale
+        const scaleVariation = 0.8 + this.random.next() * 0.4; // 0.8 to 1.2 scale
         obstacle.scale.multiplyScalar(scaleVariation);
+        obstacle.userData.pulsePhase = this.random.next() * Math.PI * 2;
         
         // Set rotation to face the player (assuming player is along positive Z from obstacle's perspective)
         obstacle.rotation.y = 0; // Rotate 180 degrees to face forward if model's front is +Z
         
         // Add floating animation with unique phase
-        obstacle.userData.floatOffset = Math.random() * Math.PI * 2;
+        obstacle.userData.floatOffset = this.random.next() * Math.PI * 2;
         
         // Update and show BoxHelper for the spawned obstacle
         if (obstacle.userData.boxHelper) {
@@ -404,19 +463,199 @@ export class ObstacleManager {
         }
 
         this.scene.add(obstacle);
-        this.obstacles.push({
+        const entry = {
             mesh: obstacle,
             type: type,
             lane: lane,
-            spawnTime: Date.now()
-        });
+            spawnTime: time,
+            previousPosition: obstacle.position.clone(),
+            variant: variant ? variant.kind : null,
+            morphTo: variant && variant.kind === 'morph' ? variant.morphTo : null,
+            hidden: !!variant && variant.kind === 'disguised',
+            tell: null,
+            hardPattern: null,  // Set by markHardPattern
+            marker: null
+        };
+        if (entry.variant) {
+            this.attachTell(entry);
+        }
+        this.obstacles.push(entry);
         
         return obstacle;
     }
 
-    spawnRandomObstacle() {
-        const types = ['rock', 'paper', 'scissors'];
-        const lanes = [-1, 0, 1]; // left, center, right
+    // Variant tells, so players can read them in time: a ring in the colour
+    // of what a morphing obstacle will become, a "?" crate hiding a disguised
+    // one, and a mirror badge (plus a mirrored model) on mirror obstacles
+    attachTell(obstacle) {
+        const tell = new THREE.Group();
+        
+        switch (obstacle.variant) {
+            case 'morph': {
+                const ring = new THREE.Mesh(
+                    new THREE.TorusGeometry(0.9, 0.06, 8, 32),
+                    new THREE.MeshBasicMaterial({ color: this.materials[obstacle.morphTo].color })
+                );
+                tell.add(ring);
+                tell.add(this.createTellSprite(`→${this.ruleTable.getEmoji(obstacle.morphTo) || '?'}`));
+                break;
+            }
+            case 'disguised': {
+                const crate = new THREE.Mesh(
+                    new THREE.BoxGeometry(1.2, 1.2, 1.2),
+                    new THREE.MeshPhongMaterial({ color: 0x555566, shininess: 20 })
+                );
+                tell.add(crate);
+                tell.add(this.createTellSprite('?'));
+                obstacle.mesh.visible = false;
+                break;
+            }
+            case 'mirror': {
+                const ring = new THREE.Mesh(
+                    new THREE.TorusGeometry(0.95, 0.04, 8, 6),
+                    new THREE.MeshBasicMaterial({ color: 0xDDEEFF })
+                );
+                tell.add(ring);
+                tell.add(this.createTellSprite('🪞'));
+                break;
+            }
+        }
+        
+        tell.position.copy(obstacle.mesh.position);
+        this.scene.add(tell);
+        obstacle.tell = tell;
+    }
+
+    createTellSprite(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        context.font = 'bold 44px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#FFFFFF';
+        context.fillText(text, 64, 34);
+        
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true }));
+        sprite.position.y = 1.1;
+        sprite.scale.set(1.2, 0.6, 1);
+        return sprite;
+    }
+
+    removeTell(obstacle) {
+        if (!obstacle.tell) return;
+        this.scene.remove(obstacle.tell);
+        this.disposeObject(obstacle.tell);
+        obstacle.tell = null;
+    }
+
+    // Swap in the pooled model of the new type at the same spot
+    morphObstacle(obstacle) {
+        const oldMesh = obstacle.mesh;
+        const newMesh = this.getObstacleFromPool(obstacle.morphTo);
+        
+        newMesh.position.copy(oldMesh.position);
+        newMesh.rotation.set(0, 0, 0);
+        newMesh.scale.copy(newMesh.userData.originalScale).multiplyScalar(this.getLaneScale());
+        newMesh.userData.active = true;
+        newMesh.userData.speed = 0;
+        newMesh.userData.lane = obstacle.lane;
+        newMesh.userData.pulsePhase = oldMesh.userData.pulsePhase;
+        newMesh.userData.floatOffset = oldMesh.userData.floatOffset;
+        this.scene.add(newMesh);
+        this.releaseMesh(oldMesh);
+        
+        obstacle.mesh = newMesh;
+        obstacle.type = obstacle.morphTo;
+        obstacle.morphTo = null;
+        this.removeTell(obstacle);
+    }
+
+    reveal(obstacle) {
+        obstacle.hidden = false;
+        obstacle.mesh.visible = true;
+        this.removeTell(obstacle);
+    }
+
+    // Where on the track an obstacle shows what it needs: disguised ones once
+    // they're revealed, morphing ones once they've switched
+    getRevealZ(variant = null) {
+        if (!variant) return this.spawnDistance;
+        if (variant.kind === 'disguised') return this.revealZ;
+        if (variant.kind === 'morph') return this.morphZ;
+        return this.spawnDistance;
+    }
+
+    // Flags an obstacle the player can't reliably switch to in time, with a
+    // warning above it so the tight spot reads as intended
+    markHardPattern(obstacle, check) {
+        obstacle.hardPattern = check;
+        if (obstacle.marker) return;
+        
+        obstacle.marker = this.createTellSprite('⚡');
+        this.updateMarker(obstacle);
+        this.scene.add(obstacle.marker);
+    }
+
+    updateMarker(obstacle) {
+        const position = obstacle.mesh.position;
+        obstacle.marker.position.set(position.x, position.y + 1.8 * this.getLaneScale(), position.z);
+        obstacle.marker.scale.set(1.2, 0.6, 1).multiplyScalar(this.getLaneScale());
+    }
+
+    removeMarker(obstacle) {
+        if (!obstacle.marker) return;
+        this.scene.remove(obstacle.marker);
+        this.disposeObject(obstacle.marker);
+        obstacle.marker = null;
+    }
+
+    // Morphs and reveals happen at fixed distances; tells wobble and follow their obstacle
+    updateVariant(obstacle, time) {
+        const z = obstacle.mesh.position.z;
+        
+        if (obstacle.morphTo && z >= this.morphZ) {
+            this.morphObstacle(obstacle);
+        } else if (obstacle.hidden && z >= this.revealZ) {
+            this.reveal(obstacle);
+        }
+        
+        if (obstacle.variant === 'mirror') {
+            obstacle.mesh.scale.x *= -1;
+        }
+        if (obstacle.morphTo) {
+            // Wobble harder the closer it gets to switching
+            const closeness = 1 - Math.min(1, (this.morphZ - z) / 6);
+            obstacle.mesh.rotation.z = Math.sin(time * 0.02) * 0.3 * closeness;
+        }
+        
+        if (obstacle.tell) {
+            obstacle.tell.position.copy(obstacle.mesh.position);
+            obstacle.tell.children[0].rotation.set(Math.PI / 2, 0, time * 0.003);
+            obstacle.tell.scale.setScalar(this.getLaneScale());
+        }
+    }
+
+    // Random kind and morph target unless given (e.g. by a level file)
+    pickVariant(type, kind = null, morphTo = null) {
+        kind = kind || this.random.pick(this.variants);
+        if (kind !== 'morph') return { kind: kind };
+        
+        const others = this.ruleTable.getGestures().filter(gesture => gesture !== type);
+        return { kind: kind, morphTo: morphTo && morphTo !== type ? morphTo : this.random.pick(others) };
+    }
+
+    // `variantChance` is the chance the obstacle is a morphing, disguised or mirror one
+    spawnRandomObstacle(time = 0, variantChance = 0) {
+        const choice = this.chooseRandomObstacle(variantChance);
+        return this.spawnObstacle(choice.type, choice.lane, time, choice.variant);
+    }
+
+    // Picks what the next random obstacle would be, without spawning it yet
+    chooseRandomObstacle(variantChance = 0) {
+        const types = this.ruleTable.getGestures();
+        const lanes = Array.from({ length: this.laneCount }, (_, lane) => lane);
         
         // Avoid spawning the same type consecutively in the same lane
         const availableCombinations = [];
@@ -432,13 +671,165 @@ export class ObstacleManager {
         
         if (availableCombinations.length === 0) {
             // Fallback to any combination
-            const randomType = types[Math.floor(Math.random() * types.length)];
-            // const randomLane = lanes[Math.floor(Math.random() * lanes.length)]; // Keep obstacles in center lane
-            return this.spawnObstacle(randomType, 0); // Force lane 0
+            const randomType = this.random.pick(types);
+            const randomLane = this.random.pick(lanes);
+            return { type: randomType, lane: randomLane, variant: this.rollVariant(randomType, variantChance) };
         }
         
-        const combination = availableCombinations[Math.floor(Math.random() * availableCombinations.length)];
-        return this.spawnObstacle(combination.type, 0); // Force lane 0
+        const combination = this.random.pick(availableCombinations);
+        return { type: combination.type, lane: combination.lane, variant: this.rollVariant(combination.type, variantChance) };
+    }
+
+    rollVariant(type, chance) {
+        if (chance <= 0 || this.random.next() >= chance) return null;
+        return this.pickVariant(type);
+    }
+
+    // Pickups travel down the lanes like obstacles but are collected, not fought
+    spawnPickup(kind, lane = 0, time = 0) {
+        if (!this.canSpawnObstacle()) {
+            return null;
+        }
+        
+        const mesh = this.createPickupMesh(kind);
+        mesh.position.set(this.getLaneX(lane), 1.0, this.spawnDistance);
+        mesh.scale.multiplyScalar(this.getLaneScale());
+        
+        this.scene.add(mesh);
+        const pickup = {
+            mesh: mesh,
+            kind: kind,
+            lane: lane,
+            spawnTime: time,
+            previousPosition: mesh.position.clone()
+        };
+        this.pickups.push(pickup);
+        
+        return pickup;
+    }
+
+    spawnRandomPickup(kind, time = 0) {
+        const lane = this.random.int(this.laneCount);
+        return this.spawnPickup(kind, lane, time);
+    }
+
+    spawnRandomPowerUp(time = 0) {
+        return this.spawnRandomPickup(this.random.pick(PowerUpManager.KINDS), time);
+    }
+
+    createPickupMesh(kind) {
+        switch (kind) {
+            case 'health': {
+                // Heart: two lobes and a point, extruded
+                const shape = new THREE.Shape();
+                shape.moveTo(0, -0.5);
+                shape.bezierCurveTo(-0.1, -0.35, -0.6, -0.1, -0.6, 0.2);
+                shape.bezierCurveTo(-0.6, 0.5, -0.2, 0.6, 0, 0.3);
+                shape.bezierCurveTo(0.2, 0.6, 0.6, 0.5, 0.6, 0.2);
+                shape.bezierCurveTo(0.6, -0.1, 0.1, -0.35, 0, -0.5);
+                const geometry = new THREE.ExtrudeGeometry(shape, {
+                    depth: 0.25,
+                    bevelEnabled: true,
+                    bevelThickness: 0.05,
+                    bevelSize: 0.05,
+                    bevelSegments: 2
+                });
+                geometry.center();
+                return new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+                    color: 0xff3355,
+                    emissive: 0x551122,
+                    shininess: 80
+                }));
+            }
+            default:
+                return this.createPowerUpMesh(kind);
+        }
+    }
+
+    // A glowing gem in the power-up's colour with its icon floating above
+    createPowerUpMesh(kind) {
+        const definition = PowerUpManager.getDefinition(kind);
+        const color = definition ? definition.color : 0xffff66;
+        const group = new THREE.Group();
+        
+        const gem = new THREE.Mesh(
+            new THREE.OctahedronGeometry(0.45),
+            new THREE.MeshPhongMaterial({ color: color, emissive: color, emissiveIntensity: 0.4, shininess: 100 })
+        );
+        group.add(gem);
+        
+        if (definition) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 64;
+            canvas.height = 64;
+            const context = canvas.getContext('2d');
+            context.font = '48px Arial';
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(definition.icon, 32, 34);
+            
+            const icon = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), transparent: true }));
+            icon.position.y = 0.8;
+            icon.scale.set(0.6, 0.6, 1);
+            group.add(icon);
+        }
+        
+        return group;
+    }
+
+    getActivePickups() {
+        return [...this.pickups];
+    }
+
+    removePickup(pickup) {
+        const index = this.pickups.indexOf(pickup);
+        if (index === -1) return;
+        
+        this.pickups.splice(index, 1);
+        this.scene.remove(pickup.mesh);
+        this.disposeObject(pickup.mesh);
+    }
+
+    disposeObject(object) {
+        object.traverse(child => {
+            // Sprites share one geometry, so only their material and texture go
+            if (child.geometry && !child.isSprite) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+
+    updatePickups(speed, time) {
+        [...this.pickups].forEach(pickup => {
+            pickup.previousPosition.copy(pickup.mesh.position);
+            pickup.mesh.position.z += speed;
+            // Spin so pickups read differently from obstacles
+            pickup.mesh.rotation.y = time * 0.004;
+            
+            if (pickup.mesh.position.z > this.despawnDistance) {
+                this.removePickup(pickup);
+            }
+        });
+    }
+
+    // Lanes
+    setLaneCount(laneCount) {
+        this.laneCount = Math.max(1, Math.floor(laneCount));
+    }
+
+    getLaneWidth() {
+        return this.trackWidth / Math.max(this.laneCount, 3);
+    }
+
+    getLaneX(lane) {
+        return (lane - (this.laneCount - 1) / 2) * this.getLaneWidth();
+    }
+
+    // Shrink models when lanes are narrower than the classic 3-lane layout
+    getLaneScale() {
+        return Math.min(1, this.getLaneWidth() / 2);
     }
 
     getRecentObstacleInLane(lane) {
@@ -450,20 +841,23 @@ export class ObstacleManager {
         return laneObstacles.length > 0 ? laneObstacles[0] : null;
     }
 
-    update(speed) {
+    update(speed, time) {
         // Update all active obstacles
         this.obstacles = this.obstacles.filter(obstacle => {
             const mesh = obstacle.mesh;
             
             if (!mesh.userData.active) return false;
             
+            // Remember where it was for swept collision
+            obstacle.previousPosition.copy(mesh.position);
+            
             // Move obstacle forward
             mesh.position.z += speed;
             mesh.position.y = 1.0; // Clamp Y-position to spawn height (1.0) to prevent oscillations
             
             // Enhanced floating animation (Y-component removed for clamping)
-            const time = Date.now() * 0.003;
-            const floatTime = time + mesh.userData.floatOffset;
+            // Driven by simulation time: the pulse scales the obstacle's bounding box
+            const animationTime = time * 0.003;
             
             // More interesting rotation (adjust for GLB models) - Rotation removed
             // if (mesh.userData.isGLBModel) {
@@ -477,10 +871,17 @@ export class ObstacleManager {
             // }
             
             // Add subtle pulsing effect
-            const pulseTime = time * 2 + mesh.userData.pulsePhase;
+            const pulseTime = animationTime * 2 + mesh.userData.pulsePhase;
             const pulseScale = 1 + Math.sin(pulseTime) * 0.05;
             mesh.scale.copy(mesh.userData.originalScale);
-            mesh.scale.multiplyScalar(pulseScale);
+            mesh.scale.multiplyScalar(pulseScale * this.getLaneScale());
+            
+            if (obstacle.variant) {
+                this.updateVariant(obstacle, time);
+            }
+            if (obstacle.marker) {
+                this.updateMarker(obstacle);
+            }
             
             // Update glow effect - Glow effect removed
             // this.updateGlowEffect(mesh, time);
@@ -493,6 +894,8 @@ export class ObstacleManager {
             
             return true;
         });
+        
+        this.updatePickups(speed, time);
     }
 
     // updateGlowEffect(mesh, time) { // Method removed
@@ -500,8 +903,19 @@ export class ObstacleManager {
     // }
 
     removeObstacle(obstacle) {
-        const mesh = obstacle.mesh;
+        this.releaseMesh(obstacle.mesh);
+        this.removeTell(obstacle);
+        this.removeMarker(obstacle);
         
+        // Remove from active obstacles array
+        const index = this.obstacles.indexOf(obstacle);
+        if (index > -1) {
+            this.obstacles.splice(index, 1);
+        }
+    }
+
+    // Return a mesh to its pool
+    releaseMesh(mesh) {
         // Remove from scene
         this.scene.remove(mesh);
         
@@ -517,12 +931,7 @@ export class ObstacleManager {
         mesh.position.set(0, 0, 0);
         mesh.rotation.set(0, 0, 0);
         mesh.scale.copy(mesh.userData.originalScale);
-        
-        // Remove from active obstacles array
-        const index = this.obstacles.indexOf(obstacle);
-        if (index > -1) {
-            this.obstacles.splice(index, 1);
-        }
+        mesh.visible = true;
     }
 
     getActiveObstacles() {
@@ -570,24 +979,14 @@ export class ObstacleManager {
         });
         
         this.obstacles = [];
+        
+        [...this.pickups].forEach(pickup => this.removePickup(pickup));
     }
 
     // Difficulty scaling
-    updateDifficulty(level) {
-        switch (level) {
-            case 'easy':
-                this.minObstacleDistance = 10;
-                this.spawnDistance = -12;
-                break;
-            case 'normal':
-                this.minObstacleDistance = 8;
-                this.spawnDistance = -15;
-                break;
-            case 'hard':
-                this.minObstacleDistance = 6;
-                this.spawnDistance = -18;
-                break;
-        }
+    // `spacing` scales minObstacleDistance (see GameEngine.setDifficulty)
+    updateDifficulty(spacing) {
+        this.spacingScale = spacing;
     }
 
     // Visual effects
@@ -656,20 +1055,14 @@ export class ObstacleManager {
     }
 
     getPoolStatus() {
-        return {
-            rock: {
-                total: this.obstaclePool.rock.length,
-                active: this.obstaclePool.rock.filter(obs => obs.userData.active).length
-            },
-            paper: {
-                total: this.obstaclePool.paper.length,
-                active: this.obstaclePool.paper.filter(obs => obs.userData.active).length
-            },
-            scissors: {
-                total: this.obstaclePool.scissors.length,
-                active: this.obstaclePool.scissors.filter(obs => obs.userData.active).length
-            }
-        };
+        const status = {};
+        Object.keys(this.obstaclePool).forEach(type => {
+            status[type] = {
+                total: this.obstaclePool[type].length,
+                active: this.obstaclePool[type].filter(obs => obs.userData.active).length
+            };
+        });
+        return status;
     }
 
     getModelLoadingStatus() {
@@ -744,7 +1137,8 @@ export class ObstacleManager {
         
         // Clear pools and references
         this.obstaclePool = { rock: [], paper: [], scissors: [] };
-        this.loadedModels = { rock: null, paper: null, scissors: null };
+        this.loadedModels = {};
+        this.modelRequests = {};
         this.obstacles = [];
         console.log("ObstacleManager disposed.");
     }
@@ -0,0 +1,132 @@
+// Power-ups the player can collect. Durations are simulation ms. `stacking`
+// says what picking one up again does while it's still running:
+//   'extend'  - add the duration on top of what's left, up to maxDuration
+//   'refresh' - restart the timer; the effect itself doesn't get stronger
+//   'charges' - add a charge (up to maxCharges) and restart the timer;
+//               each charge is used up by one mistake
+const POWER_UPS = {
+    slowMo: {
+        label: 'Slow-mo',
+        icon: '🐢',
+        color: 0x66CCFF,
+        duration: 5000,
+        stacking: 'extend',
+        maxDuration: 10000,
+        speedMultiplier: 0.5
+    },
+    shield: {
+        label: 'Shield',
+        icon: '🛡️',
+        color: 0x4ECDC4,
+        duration: 10000,
+        stacking: 'charges',
+        maxCharges: 3
+    },
+    doublePoints: {
+        label: 'Double points',
+        icon: '⭐',
+        color: 0xFFD700,
+        duration: 8000,
+        stacking: 'refresh',
+        scoreMultiplier: 2
+    },
+    autoHint: {
+        label: 'Hints',
+        icon: '💡',
+        color: 0xFFFF66,
+        duration: 10000,
+        stacking: 'extend',
+        maxDuration: 20000
+    },
+    wildcard: {
+        label: 'Wildcard',
+        icon: '🃏',
+        color: 0xFF66FF,
+        duration: 4000,
+        stacking: 'refresh'
+    }
+};
+
+// Tracks which power-ups are running and for how long, on simulation time
+// so replays see the same effects.
+export class PowerUpManager {
+    static POWER_UPS = POWER_UPS;
+    static KINDS = Object.keys(POWER_UPS);
+
+    constructor() {
+        this.active = {}; // kind -> { endsAt, charges }
+    }
+
+    static isPowerUp(kind) {
+        return PowerUpManager.KINDS.includes(kind);
+    }
+
+    static getDefinition(kind) {
+        return POWER_UPS[kind] || null;
+    }
+
+    reset() {
+        this.active = {};
+    }
+
+    activate(kind, time) {
+        const definition = POWER_UPS[kind];
+        if (!definition) return;
+
+        const current = this.active[kind];
+        if (!current) {
+            this.active[kind] = { endsAt: time + definition.duration, charges: 1 };
+            return;
+        }
+
+        switch (definition.stacking) {
+            case 'extend':
+                current.endsAt = Math.min(current.endsAt + definition.duration, time + definition.maxDuration);
+                break;
+            case 'charges':
+                current.charges = Math.min(current.charges + 1, definition.maxCharges);
+                current.endsAt = time + definition.duration;
+                break;
+            default:
+                current.endsAt = time + definition.duration;
+        }
+    }
+
+    // Drop whatever has run out; returns the kinds that just ended
+    update(time) {
+        const expired = Object.keys(this.active).filter(kind => time >= this.active[kind].endsAt);
+        expired.forEach(kind => delete this.active[kind]);
+        return expired;
+    }
+
+    isActive(kind) {
+        return !!this.active[kind];
+    }
+
+    // Use up one charge (e.g. a shield absorbing a hit). Returns false if none was left.
+    consumeCharge(kind) {
+        const current = this.active[kind];
+        if (!current) return false;
+
+        current.charges--;
+        if (current.charges <= 0) {
+            delete this.active[kind];
+        }
+        return true;
+    }
+
+    getActiveKinds() {
+        return Object.keys(this.active);
+    }
+
+    // For the HUD: what's running and how long is left (ms)
+    getStatus(time) {
+        return Object.keys(this.active).map(kind => ({
+            kind: kind,
+            label: POWER_UPS[kind].label,
+            icon: POWER_UPS[kind].icon,
+            remaining: Math.max(0, this.active[kind].endsAt - time),
+            charges: POWER_UPS[kind].stacking === 'charges' ? this.active[kind].charges : null
+        }));
+    }
+}
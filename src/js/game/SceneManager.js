@@ -4,9 +4,12 @@ export class SceneManager {
     constructor(scene) {
         this.scene = scene;
         this.particles = [];
+        this.floatingTexts = [];
         this.clouds = [];
         this.ground = null;
         this.backgroundElements = [];
+        this.powerUpEffects = null;  // Created the first time a power-up runs
+        this.baseFogColor = null;
         
         // Animation properties
         this.time = 0;
@@ -200,7 +203,8 @@ export class SceneManager {
         return treeGroup;
     }
 
-    createSuccessEffect(position) {
+    // `judgement` (a timing grade from GameEngine) adds floating text like "Perfect! +15"
+    createSuccessEffect(position, points = null, judgement = null) {
         // Create particle burst effect for successful hits
         const particleCount = 20;
         const particles = [];
@@ -231,6 +235,109 @@ export class SceneManager {
         }
         
         this.particles.push(...particles);
+        
+        if (judgement) {
+            const text = points !== null ? `${judgement.label} +${points}` : judgement.label;
+            this.createFloatingText(position, text, judgement.color);
+        }
+    }
+
+    createFloatingText(position, text, color = '#ffffff') {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        
+        const context = canvas.getContext('2d');
+        context.font = 'bold 40px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineWidth = 6;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        context.strokeText(text, 128, 32);
+        context.fillStyle = color;
+        context.fillText(text, 128, 32);
+        
+        const material = new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            transparent: true,
+            depthTest: false
+        });
+        const sprite = new THREE.Sprite(material);
+        sprite.position.copy(position);
+        sprite.position.y += 0.8;
+        sprite.scale.set(2, 0.5, 1);
+        sprite.life = 1.0;
+        
+        this.scene.add(sprite);
+        this.floatingTexts.push(sprite);
+    }
+
+    // Shield bubble, double-points halo, wildcard ring and a hint strip down
+    // the lane. Slow-mo has no mesh; it tints the fog instead.
+    createPowerUpEffects() {
+        const shield = new THREE.Mesh(
+            new THREE.SphereGeometry(1.1, 24, 16),
+            new THREE.MeshBasicMaterial({ color: 0x4ECDC4, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        
+        const doublePoints = new THREE.Mesh(
+            new THREE.TorusGeometry(0.9, 0.06, 8, 32),
+            new THREE.MeshBasicMaterial({ color: 0xFFD700 })
+        );
+        
+        const wildcard = new THREE.Mesh(
+            new THREE.TorusGeometry(1.2, 0.05, 8, 48),
+            new THREE.MeshBasicMaterial({ color: 0xFF66FF })
+        );
+        
+        const autoHint = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.8, 10),
+            new THREE.MeshBasicMaterial({ color: 0xFFFF66, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        autoHint.rotation.x = -Math.PI / 2;
+        
+        const effects = { shield, doublePoints, wildcard, autoHint };
+        Object.values(effects).forEach(effect => {
+            effect.visible = false;
+            this.scene.add(effect);
+        });
+        return effects;
+    }
+
+    // `position` is the player's, or null when no run is going
+    updatePowerUpEffects(kinds, position = null) {
+        if (!this.powerUpEffects) {
+            if (kinds.length === 0) return;
+            this.powerUpEffects = this.createPowerUpEffects();
+        }
+        
+        const effects = this.powerUpEffects;
+        Object.keys(effects).forEach(kind => {
+            effects[kind].visible = !!position && kinds.includes(kind);
+        });
+        
+        if (position) {
+            effects.shield.position.copy(position);
+            effects.shield.material.opacity = 0.2 + Math.sin(this.time * 6) * 0.08;
+            
+            effects.doublePoints.position.set(position.x, position.y - 0.8, position.z);
+            effects.doublePoints.rotation.set(Math.PI / 2, 0, this.time * 2);
+            
+            effects.wildcard.position.copy(position);
+            effects.wildcard.rotation.set(this.time * 1.5, this.time * 2, 0);
+            effects.wildcard.material.color.setHSL((this.time * 0.5) % 1, 0.9, 0.6);
+            
+            effects.autoHint.position.set(position.x, -0.95, position.z - 6);
+        }
+        
+        // Slow-mo washes the fog blue
+        if (this.scene.fog) {
+            if (!this.baseFogColor) this.baseFogColor = this.scene.fog.color.clone();
+            this.scene.fog.color.copy(this.baseFogColor);
+            if (position && kinds.includes('slowMo')) {
+                this.scene.fog.color.lerp(new THREE.Color(0x3366AA), 0.6);
+            }
+        }
     }
 
     createGameOverEffect() {
@@ -311,6 +418,7 @@ export class SceneManager {
         
         // Update particles
         this.updateParticles();
+        this.updateFloatingTexts();
         
         // Update ground scrolling
         this.updateGround();
@@ -358,6 +466,25 @@ export class SceneManager {
         }
     }
 
+    updateFloatingTexts() {
+        for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
+            const sprite = this.floatingTexts[i];
+            
+            // Drift up and fade out
+            sprite.position.y += 0.02;
+            sprite.life -= 0.015;
+            sprite.material.opacity = Math.max(0, sprite.life);
+            
+            if (sprite.life <= 0) {
+                // Sprites share one geometry, so only the material and texture are disposed
+                this.scene.remove(sprite);
+                sprite.material.map.dispose();
+                sprite.material.dispose();
+                this.floatingTexts.splice(i, 1);
+            }
+        }
+    }
+
     updateGround() {
         if (this.ground && this.ground.material.map) {
             // Scroll the ground texture
@@ -390,6 +517,21 @@ export class SceneManager {
             if (this.ground.material.map) {
                 this.ground.material.map.dispose();
             }
+        }        
+        this.floatingTexts.forEach(sprite => {
+            this.scene.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        });
+        this.floatingTexts = [];
+        
+        if (this.powerUpEffects) {
+            Object.values(this.powerUpEffects).forEach(effect => {
+                this.scene.remove(effect);
+                effect.geometry.dispose();
+                effect.material.dispose();
+            });
+            this.powerUpEffects = null;
         }
     }
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+// Small, fast seeded PRNG (mulberry32). The same seed always yields the same sequence.
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    // Hash an arbitrary string (e.g. a date) into a 32-bit seed
+    static seedFromString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+}
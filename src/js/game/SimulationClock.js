@@ -0,0 +1,40 @@
+// Fixed-timestep clock: real frame time is accumulated and consumed in equal
+// simulation steps, so gameplay runs at the same speed on any refresh rate.
+export class SimulationClock {
+    constructor(stepsPerSecond = 60) {
+        this.fixedStep = 1000 / stepsPerSecond;  // ms of simulated time per step
+        this.maxFrameDelta = 250;                // ms - ignore longer gaps (tab switches, debugger pauses)
+        this.maxStepsPerFrame = 8;               // Avoid a spiral of death on very slow frames
+        this.timeScale = 1;
+
+        this.reset();
+    }
+
+    reset() {
+        this.time = 0;         // Simulated ms since the run started
+        this.tick = 0;         // Number of steps taken
+        this.accumulator = 0;
+    }
+
+    // Returns how many fixed steps to run for this render frame
+    advance(realDelta) {
+        const delta = Math.min(Math.max(realDelta, 0), this.maxFrameDelta) * this.timeScale;
+        this.accumulator += delta;
+
+        let steps = Math.floor(this.accumulator / this.fixedStep);
+        if (steps > this.maxStepsPerFrame) {
+            steps = this.maxStepsPerFrame;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * this.fixedStep;
+        }
+
+        return steps;
+    }
+
+    // Record that one fixed step has been simulated
+    step() {
+        this.tick++;
+        this.time = this.tick * this.fixedStep;
+    }
+}
@@ -0,0 +1,88 @@
+// Works out whether the player has time to answer the next obstacle. When two
+// obstacles in a row need different gestures, the player has to see the
+// second one, change hand shape and wait for the recognizer to pick the new
+// shape up, all in the gap between the two reaching them. Times are
+// simulation ms.
+export class SpawnFairness {
+    static DEFAULTS = {
+        reactionTime: 250,          // Seeing the obstacle and picking an answer
+        switchTime: 200,            // Changing hand shape
+        recognitionLatency: 500,    // Until the new shape is reported (see GestureRecognizer.getRecognitionLatency)
+        laneMoveTime: 150,          // Per lane the player has to move across
+        hardPatternChance: 0.2,     // How often an unfair pattern is kept on purpose...
+        hardPatternMinSpeed: 2.5    // ...once the run is at least this fast
+    };
+
+    constructor(settings = {}) {
+        Object.keys(SpawnFairness.DEFAULTS).forEach(key => {
+            this[key] = settings[key] !== undefined ? settings[key] : SpawnFairness.DEFAULTS[key];
+        });
+    }
+
+    // Stored with replays, so playback makes the same spawn decisions
+    toSetting() {
+        const setting = {};
+        Object.keys(SpawnFairness.DEFAULTS).forEach(key => {
+            setting[key] = this[key];
+        });
+        return setting;
+    }
+
+    // Camera input is slower to register than a key press
+    setRecognitionLatency(latency) {
+        this.recognitionLatency = Math.max(0, latency);
+    }
+
+    // From deciding to change gesture to the game seeing the new one
+    getSwitchTime() {
+        return this.reactionTime + this.switchTime + this.recognitionLatency;
+    }
+
+    // `previous` and `next` are { answers, lane }, where `answers` lists every
+    // gesture that deals with the obstacle. Holding a gesture that answers
+    // both means there's nothing to switch.
+    needsSwitch(previous, next) {
+        return !previous || !previous.answers.some(gesture => next.answers.includes(gesture));
+    }
+
+    // The ms needed between the two obstacles reaching the player
+    getRequiredGap(previous, next) {
+        if (!previous) return 0;
+
+        const gestureTime = this.needsSwitch(previous, next) ? this.getSwitchTime() : 0;
+
+        const lanes = Math.abs(next.lane - previous.lane);
+        const laneTime = lanes === 0 ? 0 : this.reactionTime + lanes * this.laneMoveTime;
+
+        return Math.max(gestureTime, laneTime);
+    }
+
+    // `gap` is the ms between the two obstacles reaching the player.
+    // Disguised and morphing obstacles only show what they need once they're
+    // close; `visibleFor` is how long the player has from that point.
+    check(previous, next, gap, visibleFor = Infinity) {
+        const needed = this.getRequiredGap(previous, next);
+        const reasons = [];
+
+        // Gaps come from float positions; a fraction of a ms short still counts
+        if (needed - gap >= 1) {
+            reasons.push('gap');
+        }
+        if (this.needsSwitch(previous, next) && visibleFor < this.getSwitchTime()) {
+            reasons.push('reveal');
+        }
+
+        return {
+            fair: reasons.length === 0,
+            needed: needed,
+            available: gap,
+            reasons: reasons
+        };
+    }
+
+    // Past hardPatternMinSpeed some unfair patterns are kept as a deliberate
+    // challenge; `chanceScale` lets adaptive difficulty make them rarer or commoner
+    allowHardPattern(speed, random, chanceScale = 1) {
+        return speed >= this.hardPatternMinSpeed && random.next() < this.hardPatternChance * chanceScale;
+    }
+}
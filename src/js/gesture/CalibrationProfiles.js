@@ -0,0 +1,83 @@
+// Named sets of personal thresholds from the calibration wizard, kept in
+// localStorage. The active profile is applied when the recognizer starts.
+export class CalibrationProfiles {
+    constructor(storageKey = 'sps-calibration-profiles') {
+        this.storageKey = storageKey;
+
+        const stored = this.load();
+        this.profiles = stored.profiles;
+        this.activeName = this.profiles[stored.active] ? stored.active : null;
+    }
+
+    getNames() {
+        return Object.keys(this.profiles).sort();
+    }
+
+    get(name) {
+        return this.profiles[name] || null;
+    }
+
+    // The profile in use, or null for the default thresholds
+    getActive() {
+        return this.activeName ? this.profiles[this.activeName] : null;
+    }
+
+    // Saving under an existing name replaces that profile. The new profile becomes active.
+    add(name, thresholds) {
+        const profileName = (name || '').trim();
+        if (!profileName) {
+            throw new Error('A profile name is required to save a calibration');
+        }
+
+        this.profiles[profileName] = {
+            fingerExtensionThreshold: thresholds.fingerExtensionThreshold,
+            thumbExtensionThreshold: thresholds.thumbExtensionThreshold,
+            calibratedAt: new Date().toISOString()
+        };
+        this.activeName = profileName;
+        this.save();
+        return profileName;
+    }
+
+    remove(name) {
+        delete this.profiles[name];
+        if (this.activeName === name) {
+            this.activeName = null;
+        }
+        this.save();
+    }
+
+    // `null` goes back to the default thresholds
+    setActive(name) {
+        if (name !== null && !this.profiles[name]) {
+            throw new Error(`Unknown calibration profile "${name}"`);
+        }
+        this.activeName = name;
+        this.save();
+    }
+
+    load() {
+        try {
+            if (typeof localStorage === 'undefined') return { active: null, profiles: {} };
+
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!stored || typeof stored.profiles !== 'object' || stored.profiles === null) {
+                return { active: null, profiles: {} };
+            }
+            return stored;
+        } catch (error) {
+            console.warn('CalibrationProfiles: Failed to load profiles:', error);
+            return { active: null, profiles: {} };
+        }
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ active: this.activeName, profiles: this.profiles }));
+        } catch (error) {
+            console.warn('CalibrationProfiles: Failed to save profiles:', error);
+        }
+    }
+}
@@ -0,0 +1,108 @@
+// Works out personal extension thresholds. The player holds poses whose
+// finger states are known (an open hand, a fist, then each gesture), and
+// every frame's raw extension values (see GestureRecognizer.getExtensionValues)
+// are filed as "extended" or "curled", for the thumb and for the other four
+// fingers. Each threshold then goes in the gap between the two.
+export class GestureCalibrator {
+    static MIN_SAMPLES = 15;                    // Per kind of finger and state, for a threshold to be derived
+    static LIMITS = {                           // Palm lengths; outside these the measurement is suspect
+        finger: [0.02, 0.4],
+        thumb: [0.02, 0.5]
+    };
+
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.samples = {
+            finger: { extended: [], curled: [] },
+            thumb: { extended: [], curled: [] }
+        };
+        this.recordingFingers = null;
+        this.recordedCount = 0;
+    }
+
+    // The finger states every one of a gesture's poses agrees on; a finger
+    // the poses leave open (null) or disagree about can't be measured
+    static getCertainFingers(poses) {
+        if (poses.length === 0) return null;
+        return poses[0].fingers.map((state, i) =>
+            poses.every(pose => pose.fingers[i] === state) ? state : null
+        );
+    }
+
+    // `fingers` is the pose being held: true, false or null per finger
+    startRecording(fingers) {
+        this.recordingFingers = fingers;
+        this.recordedCount = 0;
+    }
+
+    stopRecording() {
+        const count = this.recordedCount;
+        this.recordingFingers = null;
+        this.recordedCount = 0;
+        return count;
+    }
+
+    isRecording() {
+        return this.recordingFingers !== null;
+    }
+
+    recordFrame(values) {
+        if (!this.recordingFingers) return;
+
+        values.forEach((value, i) => {
+            const state = this.recordingFingers[i];
+            if (state === null) return;
+            this.samples[i === 0 ? 'thumb' : 'finger'][state ? 'extended' : 'curled'].push(value);
+        });
+        this.recordedCount++;
+    }
+
+    static percentile(values, fraction) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const position = (sorted.length - 1) * fraction;
+        const below = Math.floor(position);
+        const above = Math.min(sorted.length - 1, below + 1);
+        return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+    }
+
+    // Splits the curled values from the extended ones for one kind of finger.
+    // The outer 10% of each side is ignored, so a stray frame doesn't drag the
+    // threshold. Null without enough of both.
+    static deriveThreshold(group, limits) {
+        if (group.extended.length < GestureCalibrator.MIN_SAMPLES || group.curled.length < GestureCalibrator.MIN_SAMPLES) {
+            return null;
+        }
+
+        const curledHigh = GestureCalibrator.percentile(group.curled, 0.9);
+        const extendedLow = GestureCalibrator.percentile(group.extended, 0.1);
+        const separated = extendedLow > curledHigh;
+
+        // Overlapping poses (a loose fist, a half-bent finger): split the medians instead
+        const threshold = separated
+            ? (curledHigh + extendedLow) / 2
+            : (GestureCalibrator.percentile(group.curled, 0.5) + GestureCalibrator.percentile(group.extended, 0.5)) / 2;
+
+        return {
+            threshold: Math.max(limits[0], Math.min(limits[1], threshold)),
+            margin: extendedLow - curledHigh,
+            separated: separated
+        };
+    }
+
+    // { fingerExtensionThreshold, thumbExtensionThreshold, finger, thumb }, where
+    // `finger` and `thumb` are the deriveThreshold details. A threshold is null
+    // when its fingers weren't seen both ways often enough.
+    getResult() {
+        const finger = GestureCalibrator.deriveThreshold(this.samples.finger, GestureCalibrator.LIMITS.finger);
+        const thumb = GestureCalibrator.deriveThreshold(this.samples.thumb, GestureCalibrator.LIMITS.thumb);
+        return {
+            fingerExtensionThreshold: finger ? finger.threshold : null,
+            thumbExtensionThreshold: thumb ? thumb.threshold : null,
+            finger: finger,
+            thumb: thumb
+        };
+    }
+}
@@ -3,15 +3,31 @@ export class GestureConfig {
         // MediaPipe configuration
         this.minDetectionConfidence = 0.7;
         this.minTrackingConfidence = 0.5;
+        this.selfieMode = false;               // Camera feed is not mirrored before detection (affects handedness labels)
         
-        // Gesture recognition thresholds
-        this.fingerExtensionThreshold = 0.05;  // How far tip must be from pip to be "extended"
-        this.thumbExtensionThreshold = 0.08;   // Thumb extension threshold (different due to orientation)
+        // Hand tracking assets (wasm, model and data files) are bundled with the app, see vite.config.js
+        this.handsAssetPath = GestureConfig.getDefaultHandsAssetPath();
+        this.assetLoadTimeout = 20000;         // ms - give up and report an error after this long
+        this.useWorker = true;                 // Run hand tracking in a Web Worker when the browser supports it
+        
+        // Camera capture size
+        this.frameWidth = 640;
+        this.frameHeight = 480;
+        
+        // Gesture recognition thresholds (in palm lengths, measured in the hand-local frame)
+        this.fingerExtensionThreshold = 0.1;   // How much further from the wrist the tip must be than the pip to be "extended"
+        this.thumbExtensionThreshold = 0.15;   // How far the thumb tip must reach past the index MCP towards the thumb side
         
         // Stability and timing
         this.minGestureHoldTime = 200;         // ms - how long gesture must be held to register
         this.maintainLastGesture = true;       // Keep last gesture when no hand detected
         
+        // Pause triggers
+        this.palmHoldTime = 2000;              // ms - holding an open palm this long counts as a "palm hold" (pause/resume)
+        this.palmHoldPlayTime = 4000;          // ms - the same while playing, where a quick open palm is a paper throw
+        this.palmHoldFacing = 0.8;             // How squarely the palm must face the camera (see HandFrame.getPalmFacing)
+        this.handLostTimeout = 1500;           // ms - report the hand as lost after this long without a detection
+        
         // Performance
         this.maxDetectionRate = 10;            // Max detections per second
         
@@ -46,15 +62,15 @@ export class GestureConfig {
             case 'strict':
                 config.minDetectionConfidence = 0.8;
                 config.minTrackingConfidence = 0.7;
-                config.fingerExtensionThreshold = 0.03;
-                config.thumbExtensionThreshold = 0.06;
+                config.fingerExtensionThreshold = 0.15;
+                config.thumbExtensionThreshold = 0.2;
                 config.minGestureHoldTime = 300;
                 break;
                 
             case 'relaxed':
                 config.minDetectionConfidence = 0.6;
                 config.minTrackingConfidence = 0.4;
-                config.fingerExtensionThreshold = 0.07;
+                config.fingerExtensionThreshold = 0.06;
                 config.thumbExtensionThreshold = 0.1;
                 config.minGestureHoldTime = 150;
                 break;
@@ -62,8 +78,8 @@ export class GestureConfig {
             case 'mobile':
                 config.minDetectionConfidence = 0.65;
                 config.minTrackingConfidence = 0.45;
-                config.fingerExtensionThreshold = 0.06;
-                config.thumbExtensionThreshold = 0.09;
+                config.fingerExtensionThreshold = 0.08;
+                config.thumbExtensionThreshold = 0.12;
                 config.minGestureHoldTime = 250;
                 config.maxDetectionRate = 8; // Lower for mobile performance
                 break;
@@ -71,8 +87,8 @@ export class GestureConfig {
             case 'desktop':
                 config.minDetectionConfidence = 0.75;
                 config.minTrackingConfidence = 0.55;
-                config.fingerExtensionThreshold = 0.04;
-                config.thumbExtensionThreshold = 0.07;
+                config.fingerExtensionThreshold = 0.1;
+                config.thumbExtensionThreshold = 0.15;
                 config.minGestureHoldTime = 200;
                 config.maxDetectionRate = 12;
                 break;
@@ -85,6 +101,16 @@ export class GestureConfig {
         return config;
     }
 
+    // Asset location: override at build time with VITE_MEDIAPIPE_HANDS_PATH
+    // (e.g. a kiosk's local server), otherwise use the copy in the build output
+    static getDefaultHandsAssetPath() {
+        const env = import.meta.env || {};
+        if (env.VITE_MEDIAPIPE_HANDS_PATH) {
+            return env.VITE_MEDIAPIPE_HANDS_PATH;
+        }
+        return `${env.BASE_URL || '/'}mediapipe/hands/`;
+    }
+
     // Dynamic configuration based on device capabilities
     static getConfigForDevice() {
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -155,6 +181,14 @@ export class GestureConfig {
         }
     }
 
+    // Personal thresholds from a calibration profile (see CalibrationProfiles),
+    // or null for the defaults
+    applyCalibration(profile) {
+        const defaults = new GestureConfig();
+        this.fingerExtensionThreshold = profile ? profile.fingerExtensionThreshold : defaults.fingerExtensionThreshold;
+        this.thumbExtensionThreshold = profile ? profile.thumbExtensionThreshold : defaults.thumbExtensionThreshold;
+    }
+
     adjustForPerformance(performanceLevel) {
         // performanceLevel: 'low', 'medium', 'high'
         switch (performanceLevel) {
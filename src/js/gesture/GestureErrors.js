@@ -0,0 +1,18 @@
+// Hand tracking model files could not be fetched or initialized
+export class AssetLoadError extends Error {
+    constructor(assetPath, cause) {
+        super(`Failed to load hand tracking assets from "${assetPath}"`);
+        this.name = 'AssetLoadError';
+        this.assetPath = assetPath;
+        this.cause = cause;
+    }
+}
+
+// The webcam is missing or permission to use it was denied
+export class CameraAccessError extends Error {
+    constructor(cause) {
+        super('Camera could not be started');
+        this.name = 'CameraAccessError';
+        this.cause = cause;
+    }
+}
@@ -1,66 +1,127 @@
+import { CalibrationProfiles } from './CalibrationProfiles.js';
+import { GestureCalibrator } from './GestureCalibrator.js';
 import { GestureConfig } from './GestureConfig.js';
+import { GestureStream } from './GestureStream.js';
+import { GestureTrainer } from './GestureTrainer.js';
+import { HandFrame } from './HandFrame.js';
+import { LandmarkRecorder } from './LandmarkRecorder.js';
+import { AssetLoadError, CameraAccessError } from './GestureErrors.js';
+import { HandTrackingWorkerClient } from './HandTrackingWorkerClient.js';
+import { RuleTable } from '../rules/RuleTable.js';
 
 export class GestureRecognizer {
+    // In the order getExtendedFingers and the rule table poses use
+    static FINGER_NAMES = ['thumb', 'index finger', 'middle finger', 'ring finger', 'pinky'];
+
     constructor(videoElement, onGestureCallback) {
         this.videoElement = videoElement;
         this.onGestureCallback = onGestureCallback;
         
-        // MediaPipe components
+        // MediaPipe components (`hands` is either MediaPipe Hands or a HandTrackingWorkerClient)
         this.hands = null;
         this.camera = null;
+        this.usingWorker = false;
+        this.isInitialized = false;
+        
+        // Performance tracking
+        this.lastDetectionTime = 0;
+        this.detectionInterval = 100; // ms between detections
         
         // Gesture detection state
-        this.currentGesture = 'none';
-        this.gestureConfidence = 0;
-        this.lastGesture = 'none';
-        this.gestureHoldTime = 0;
-        this.gestureStabilityBuffer = [];
-        this.bufferSize = 5;
+        this.stream = new GestureStream(5, this.detectionInterval);
+        this.currentHandedness = null;
+        
+        // Two-player mode: one hand per player, assigned by which half of the view it is in
+        this.playerCount = 1;
+        this.playerStreams = [new GestureStream(5, this.detectionInterval), new GestureStream(5, this.detectionInterval)];
+        this.onPlayerGestureCallback = null;
+        
+        // Pause triggers: an open palm held for a while, and the hand leaving the frame
+        this.onPalmHoldCallback = null;
+        this.onHandLostCallback = null;
+        
+        // Reports where the hand is across the view, for lane steering
+        this.onHandPositionCallback = null;
+        this.palmHoldStart = null;
+        this.palmHoldFired = false;
+        this.lastHandTimestamp = null;
+        this.handLost = false;
+        
+        // Landmark capture for regression fixtures
+        this.recorder = null;
         
         // Configuration
         this.config = new GestureConfig();
+        this.palmHoldTime = this.config.palmHoldTime;   // See setPalmHoldTime
         
-        // Performance tracking
-        this.lastDetectionTime = 0;
-        this.detectionInterval = 100; // ms between detections
+        // Custom gesture training (nearest-neighbour over recorded samples)
+        this.trainer = new GestureTrainer();
+        
+        // Personal extension thresholds: measured by the calibrator, saved as
+        // named profiles, and the active profile applied from the start
+        this.calibrator = new GestureCalibrator();
+        this.calibrationProfiles = new CalibrationProfiles();
+        this.config.applyCalibration(this.calibrationProfiles.getActive());
+        
+        // The built-in poses to recognize come from the current rule table
+        this.ruleTable = RuleTable.fromVariant();
+        
+        // Which fingers the last recognized hand had out (see getPoseTips)
+        this.lastExtendedFingers = null;
     }
 
     async init() {
         try {
-            // Import MediaPipe modules
-            const { Hands } = await import('@mediapipe/hands');
-            const { Camera } = await import('@mediapipe/camera_utils');
+            const assetPath = this.getHandsAssetPath();
             
-            // Initialize MediaPipe Hands
-            this.hands = new Hands({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+            // Prefer running inference in a worker so detection doesn't stall the render loop
+            if (this.config.useWorker && HandTrackingWorkerClient.isSupported()) {
+                try {
+                    await this.setupHands(new HandTrackingWorkerClient(assetPath), assetPath);
+                    this.usingWorker = true;
+                } catch (error) {
+                    console.warn('Hand tracking worker unavailable, falling back to the main thread:', error);
+                    this.hands.close();
+                    this.hands = null;
                 }
-            });
+            }
             
-            this.hands.setOptions({
-                maxNumHands: 1,
-                modelComplexity: 1,
-                minDetectionConfidence: this.config.minDetectionConfidence,
-                minTrackingConfidence: this.config.minTrackingConfidence
-            });
+            if (!this.hands) {
+                // Initialize MediaPipe Hands with its assets served from the app itself
+                const { Hands } = await import('@mediapipe/hands');
+                const hands = new Hands({
+                    locateFile: (file) => {
+                        return `${assetPath}${file}`;
+                    }
+                });
+                await this.setupHands(hands, assetPath);
+            }
             
-            this.hands.onResults(this.onResults.bind(this));
+            const { Camera } = await import('@mediapipe/camera_utils');
             
             // Initialize camera
             this.camera = new Camera(this.videoElement, {
                 onFrame: async () => {
                     if (Date.now() - this.lastDetectionTime > this.detectionInterval) {
-                        await this.hands.send({ image: this.videoElement });
+                        try {
+                            await this.hands.send({ image: this.videoElement });
+                        } catch (error) {
+                            console.warn('Hand tracking frame failed:', error);
+                        }
                         this.lastDetectionTime = Date.now();
                     }
                 },
-                width: 640,
-                height: 480
+                width: this.config.frameWidth,
+                height: this.config.frameHeight
             });
             
-            await this.camera.start();
+            try {
+                await this.camera.start();
+            } catch (error) {
+                throw new CameraAccessError(error);
+            }
             
+            this.isInitialized = true;
             console.log('Gesture recognition initialized successfully');
             
         } catch (error) {
@@ -69,133 +130,378 @@ export class GestureRecognizer {
         }
     }
 
-    onResults(results) {
+    // Camera control, used when switching between input sources
+    async resumeCamera() {
+        if (!this.camera) return;
+        
+        try {
+            await this.camera.start();
+        } catch (error) {
+            throw new CameraAccessError(error);
+        }
+    }
+
+    pauseCamera() {
+        if (this.camera) {
+            this.camera.stop();
+        }
+        this.resetGestureState();
+    }
+
+    async setupHands(hands, assetPath) {
+        this.hands = hands;
+        
+        this.hands.setOptions({
+            selfieMode: this.config.selfieMode,
+            maxNumHands: this.playerCount,
+            modelComplexity: 1,
+            minDetectionConfidence: this.config.minDetectionConfidence,
+            minTrackingConfidence: this.config.minTrackingConfidence
+        });
+        
+        this.hands.onResults(this.onResults.bind(this));
+        
+        // Load the wasm and model files now, so missing assets fail here rather than on the first frame
+        await this.loadHandsAssets(assetPath);
+    }
+
+    getHandsAssetPath() {
+        const path = this.config.handsAssetPath;
+        return path.endsWith('/') ? path : `${path}/`;
+    }
+
+    async loadHandsAssets(assetPath) {
+        let timeoutId = null;
+        const timeout = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(
+                () => reject(new Error(`Timed out after ${this.config.assetLoadTimeout}ms`)),
+                this.config.assetLoadTimeout
+            );
+        });
+        
+        try {
+            await Promise.race([this.hands.initialize(), timeout]);
+        } catch (error) {
+            throw new AssetLoadError(assetPath, error);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    onResults(results, timestamp = Date.now()) {
+        if (this.recorder) {
+            this.recorder.captureFrame(results, timestamp);
+        }
+        
+        if (this.playerCount > 1) {
+            this.updatePlayers(results, timestamp);
+            return;
+        }
+        
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
             const landmarks = results.multiHandLandmarks[0];
-            const gesture = this.recognizeGesture(landmarks);
-            this.updateGestureState(gesture);
+            const handedness = this.getHandedness(results, 0);
+            this.currentHandedness = handedness;
+            
+            // Capture labelled samples while training mode is active
+            this.trainer.recordFrame(landmarks, handedness, this.getAspectRatio());
+            if (this.calibrator.isRecording()) {
+                this.calibrator.recordFrame(this.getExtensionValues(this.getFingerPositions(landmarks, handedness)));
+            }
+            
+            const gesture = this.recognizeGesture(landmarks, handedness);
+            this.updateGestureState(gesture, timestamp);
+            this.updateHandPresence(true, timestamp);
+            if (this.onHandPositionCallback) {
+                this.onHandPositionCallback(this.getHandPosition(landmarks), timestamp);
+            }
+            const palmFacing = HandFrame.fromLandmarks(landmarks, handedness, this.getAspectRatio()).getPalmFacing();
+            this.updatePalmHold(this.getMostFrequentGesture(), palmFacing, timestamp);
         } else {
+            this.lastExtendedFingers = null;
+            
             // No hand detected - maintain last gesture if configured
             if (this.config.maintainLastGesture) {
                 // Keep current gesture
             } else {
-                this.updateGestureState('none');
+                this.updateGestureState('none', timestamp);
             }
+            this.updateHandPresence(false, timestamp);
+            this.updatePalmHold('none', 0, timestamp);
         }
     }
 
-    recognizeGesture(landmarks) {
-        const fingerPositions = this.getFingerPositions(landmarks);
-        const extendedFingers = this.getExtendedFingers(fingerPositions);
+    // Switch between tracking one hand and one hand per player
+    setPlayerCount(count) {
+        this.playerCount = count === 2 ? 2 : 1;
+        this.resetGestureState();
         
-        // Rock: All fingers closed (fist)
-        if (extendedFingers.every(extended => !extended)) {
-            return 'rock';
+        if (this.hands) {
+            this.hands.setOptions({ maxNumHands: this.playerCount });
         }
+    }
+
+    // Player 1 is on the left of the (mirrored) view, player 2 on the right.
+    // Two hands are split left/right even if both players lean to one side.
+    assignHandsToPlayers(results) {
+        const hands = (results.multiHandLandmarks || []).map((landmarks, index) => ({
+            landmarks: landmarks,
+            handedness: this.getHandedness(results, index),
+            position: this.getHandPosition(landmarks)
+        }));
         
-        // Paper: The four main fingers (Index, Middle, Ring, Pinky) are extended.
-        // This is a more robust check that handles different thumb positions,
-        // correctly identifying both of the "paper" gestures you provided.
-        if (extendedFingers[1] && extendedFingers[2] && extendedFingers[3] && extendedFingers[4]) {
-            return 'paper';
+        const players = [null, null];
+        if (hands.length >= 2) {
+            hands.sort((a, b) => a.position - b.position);
+            players[0] = hands[0];
+            players[1] = hands[hands.length - 1];
+        } else if (hands.length === 1) {
+            players[hands[0].position < 0.5 ? 0 : 1] = hands[0];
+        }
+        return players;
+    }
+
+    updatePlayers(results, timestamp) {
+        this.assignHandsToPlayers(results).forEach((hand, player) => {
+            let gesture;
+            if (hand) {
+                gesture = this.recognizeGesture(hand.landmarks, hand.handedness);
+            } else if (this.config.maintainLastGesture) {
+                return;
+            } else {
+                gesture = 'none';
+            }
+            
+            const stream = this.playerStreams[player];
+            if (stream.update(gesture, timestamp, this.config.minGestureHoldTime) && this.onPlayerGestureCallback) {
+                this.onPlayerGestureCallback(player, stream.currentGesture, stream.gestureConfidence, timestamp);
+            }
+        });
+    }
+
+    // Horizontal palm position from 0 (player's left) to 1 (player's right).
+    // The preview is shown mirrored, so an unmirrored frame is flipped here.
+    getHandPosition(landmarks) {
+        const palmPoints = [0, 5, 9, 13, 17]; // Wrist and finger MCPs
+        const x = palmPoints.reduce((sum, index) => sum + landmarks[index].x, 0) / palmPoints.length;
+        return this.config.selfieMode ? x : 1 - x;
+    }
+
+    // Fires onHandLostCallback once when a previously seen hand has been gone for handLostTimeout
+    updateHandPresence(handVisible, timestamp) {
+        if (handVisible) {
+            this.lastHandTimestamp = timestamp;
+            this.handLost = false;
+            return;
         }
         
-        // Scissors: Index and middle finger extended, others closed
-        if (extendedFingers[1] && extendedFingers[2] && 
-            !extendedFingers[0] && !extendedFingers[3] && !extendedFingers[4]) {
-            return 'scissors';
+        if (this.handLost || this.lastHandTimestamp === null) return;
+        
+        if (timestamp - this.lastHandTimestamp >= this.config.handLostTimeout) {
+            this.handLost = true;
+            if (this.onHandLostCallback) {
+                this.onHandLostCallback(timestamp);
+            }
+        }
+    }
+
+    // Paper is also a gameplay gesture, so while a run is being played the
+    // game asks for a longer hold (config.palmHoldPlayTime) than a throw lasts
+    setPalmHoldTime(holdTime) {
+        this.palmHoldTime = holdTime;
+    }
+
+    // Fires onPalmHoldCallback once per continuous hold of palmHoldTime of an
+    // open palm turned squarely to the camera
+    updatePalmHold(gesture, palmFacing, timestamp) {
+        if (gesture !== 'paper' || palmFacing < this.config.palmHoldFacing) {
+            this.palmHoldStart = null;
+            this.palmHoldFired = false;
+            return;
         }
         
-        // Alternative scissors detection (more lenient)
-        if (extendedFingers[1] && extendedFingers[2] && 
-            (!extendedFingers[3] || !extendedFingers[4])) {
-            return 'scissors';
+        if (this.palmHoldStart === null) {
+            this.palmHoldStart = timestamp;
         }
         
-        return 'unknown';
+        if (!this.palmHoldFired && timestamp - this.palmHoldStart >= this.palmHoldTime) {
+            this.palmHoldFired = true;
+            if (this.onPalmHoldCallback) {
+                this.onPalmHoldCallback(timestamp);
+            }
+        }
+    }
+
+    getHandedness(results, index) {
+        const classification = results.multiHandedness && results.multiHandedness[index];
+        const label = classification ? classification.label : null;
+        return HandFrame.resolveHandedness(label, this.config.selfieMode);
     }
 
-    getFingerPositions(landmarks) {
+    getAspectRatio() {
+        return this.config.frameWidth / this.config.frameHeight;
+    }
+
+    recognizeGesture(landmarks, handedness = 'Right') {
+        // Trained samples take precedence over the built-in finger patterns
+        const trained = this.trainer.classify(landmarks, handedness, this.getAspectRatio());
+        if (trained) {
+            return trained.gesture;
+        }
+        
+        const fingerPositions = this.getFingerPositions(landmarks, handedness);
+        const extendedFingers = this.getExtendedFingers(fingerPositions);
+        this.lastExtendedFingers = extendedFingers;
+        
+        // First matching pose in the rule table wins
+        const pose = this.ruleTable.poses.find(candidate =>
+            this.matchesPose(candidate, extendedFingers, fingerPositions)
+        );
+        return pose ? pose.gesture : 'unknown';
+    }
+
+    matchesPose(pose, extendedFingers, fingerPositions) {
+        const fingersMatch = pose.fingers.every((required, i) => required === null || required === extendedFingers[i]);
+        if (!fingersMatch) return false;
+        
+        if (pose.split) {
+            return this.getFingerSplit(fingerPositions, pose.split.between) >= pose.split.ratio;
+        }
+        return true;
+    }
+
+    // How much wider the gap between two neighbouring fingertips is than the
+    // other gaps across the four fingers (e.g. the Vulcan salute's middle/ring split)
+    getFingerSplit(fingerPositions, between) {
+        const tips = fingerPositions.tips;
+        const gap = (a, b) => Math.hypot(tips[a].x - tips[b].x, tips[a].y - tips[b].y);
+        
+        const others = [[1, 2], [2, 3], [3, 4]]
+            .filter(([a]) => a !== Math.min(...between))
+            .map(([a, b]) => gap(a, b));
+        const average = others.reduce((sum, value) => sum + value, 0) / others.length;
+        
+        return average > 0 ? gap(between[0], between[1]) / average : 0;
+    }
+
+    setRuleTable(ruleTable) {
+        this.ruleTable = ruleTable;
+        this.resetGestureState();
+    }
+
+    // What to change to turn the last hand seen into `gesture`, going by the
+    // closest of its poses: e.g. ['Curl your ring finger in']. Empty when
+    // there's no hand to compare, or the fingers already match.
+    getPoseTips(gesture) {
+        const extended = this.lastExtendedFingers;
+        const poses = this.ruleTable.poses.filter(pose => pose.gesture === gesture);
+        if (!extended || poses.length === 0) return [];
+        
+        const mismatches = pose => pose.fingers
+            .map((required, i) => (required !== null && required !== extended[i] ? i : -1))
+            .filter(i => i >= 0);
+        const closest = poses.reduce((best, pose) => (mismatches(pose).length < mismatches(best).length ? pose : best));
+        
+        const tips = mismatches(closest).map(i => {
+            const finger = GestureRecognizer.FINGER_NAMES[i];
+            return closest.fingers[i] ? `Stretch your ${finger} out` : `Curl your ${finger} in`;
+        });
+        if (tips.length === 0 && closest.split) {
+            const [a, b] = closest.split.between.map(i => GestureRecognizer.FINGER_NAMES[i]);
+            tips.push(`Open a wide gap between your ${a} and ${b}`);
+        }
+        return tips;
+    }
+
+    // A finger state list (true out, false curled, null either way) in words:
+    // e.g. "index finger and middle finger out, the rest curled"
+    static describeFingers(fingers) {
+        const names = GestureRecognizer.FINGER_NAMES;
+        const out = names.filter((name, i) => fingers[i] === true);
+        const curled = names.filter((name, i) => fingers[i] === false);
+        const list = items => items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+        
+        if (out.length === names.length) return 'all fingers out';
+        if (curled.length === names.length) return 'all fingers curled into a fist';
+        
+        const parts = [];
+        if (out.length > 0) parts.push(`${list(out)} out`);
+        if (curled.length > 0) {
+            parts.push(`${out.length > 0 && curled.length === names.length - out.length ? 'the rest' : list(curled)} curled`);
+        }
+        return parts.join(', ');
+    }
+
+    // How to make `gesture`, from its first (preferred) pose
+    getPoseDescription(gesture) {
+        const pose = this.ruleTable.poses.find(candidate => candidate.gesture === gesture);
+        if (!pose) return '';
+        
+        let description = GestureRecognizer.describeFingers(pose.fingers);
+        if (pose.split) {
+            const [a, b] = pose.split.between.map(i => GestureRecognizer.FINGER_NAMES[i]);
+            description += `, with a gap between ${a} and ${b}`;
+        }
+        return description;
+    }
+
+
+    getFingerPositions(landmarks, handedness = 'Right') {
         // MediaPipe hand landmark indices
         const fingerTips = [4, 8, 12, 16, 20];    // Thumb, Index, Middle, Ring, Pinky tips
-        const fingerPips = [3, 6, 10, 14, 18];    // PIP joints
+        const fingerPips = [3, 6, 10, 14, 18];    // PIP joints (IP joint for the thumb)
         const fingerMcps = [2, 5, 9, 13, 17];     // MCP joints
         
+        // Work in a hand-local frame so wrist roll, tilt and left/right hands
+        // all produce the same coordinates for the same pose
+        const frame = HandFrame.fromLandmarks(landmarks, handedness, this.getAspectRatio());
+        const local = frame.localize(landmarks);
+        
         return {
-            tips: fingerTips.map(i => landmarks[i]),
-            pips: fingerPips.map(i => landmarks[i]),
-            mcps: fingerMcps.map(i => landmarks[i]),
-            wrist: landmarks[0]
+            tips: fingerTips.map(i => local[i]),
+            pips: fingerPips.map(i => local[i]),
+            mcps: fingerMcps.map(i => local[i]),
+            wrist: local[0],
+            palmFacing: frame.getPalmFacing()
         };
     }
 
     getExtendedFingers(fingerPositions) {
-        const extended = [];
+        return this.getExtensionValues(fingerPositions).map((value, i) =>
+            value > (i === 0 ? this.config.thumbExtensionThreshold : this.config.fingerExtensionThreshold)
+        );
+    }
+
+    // How far out each finger is, in palm lengths, before the thresholds are
+    // applied (calibration measures these)
+    getExtensionValues(fingerPositions) {
+        const distanceFromWrist = (point) => Math.hypot(point.x, point.y, point.z);
         
-        // Check each finger
-        for (let i = 0; i < 5; i++) {
+        return fingerPositions.tips.map((tip, i) => {
             if (i === 0) {
-                // Thumb: compare tip with MCP (different logic due to thumb orientation)
-                const tipX = fingerPositions.tips[i].x;
-                const mcpX = fingerPositions.mcps[i].x;
-                extended[i] = Math.abs(tipX - mcpX) > this.config.thumbExtensionThreshold;
-            } else {
-                // Other fingers: compare tip Y with PIP Y
-                const tipY = fingerPositions.tips[i].y;
-                const pipY = fingerPositions.pips[i].y;
-                extended[i] = tipY < pipY - this.config.fingerExtensionThreshold;
+                // Thumb: how far the tip reaches out past the index MCP towards the thumb side (+X)
+                return tip.x - fingerPositions.mcps[1].x;
             }
-        }
-        
-        return extended;
+            // Other fingers: a straight finger puts the tip further from the wrist than the PIP joint,
+            // a curled one folds the tip back towards the palm
+            return distanceFromWrist(tip) - distanceFromWrist(fingerPositions.pips[i]);
+        });
     }
 
-    updateGestureState(detectedGesture) {
-        // Add to stability buffer
-        this.gestureStabilityBuffer.push(detectedGesture);
-        if (this.gestureStabilityBuffer.length > this.bufferSize) {
-            this.gestureStabilityBuffer.shift();
-        }
+    updateGestureState(detectedGesture, timestamp = Date.now()) {
+        if (!this.stream.update(detectedGesture, timestamp, this.config.minGestureHoldTime)) return;
         
-        // Determine stable gesture
-        const stableGesture = this.getMostFrequentGesture();
+        if (this.recorder) {
+            this.recorder.captureGesture(this.stream.currentGesture, timestamp);
+        }
         
-        if (stableGesture !== this.currentGesture) {
-            if (stableGesture === this.lastGesture) {
-                this.gestureHoldTime += this.detectionInterval;
-            } else {
-                this.gestureHoldTime = 0;
-                this.lastGesture = stableGesture;
-            }
-            
-            // Only update if gesture is held long enough
-            if (this.gestureHoldTime >= this.config.minGestureHoldTime) {
-                this.currentGesture = stableGesture;
-                this.gestureConfidence = this.calculateConfidence(stableGesture);
-                
-                if (this.onGestureCallback) {
-                    this.onGestureCallback(this.currentGesture, this.gestureConfidence);
-                }
-            }
+        if (this.onGestureCallback) {
+            this.onGestureCallback(this.stream.currentGesture, this.stream.gestureConfidence, timestamp);
         }
     }
 
     getMostFrequentGesture() {
-        if (this.gestureStabilityBuffer.length === 0) return 'none';
-        
-        const frequency = {};
-        this.gestureStabilityBuffer.forEach(gesture => {
-            frequency[gesture] = (frequency[gesture] || 0) + 1;
-        });
-        
-        return Object.keys(frequency).reduce((a, b) => 
-            frequency[a] > frequency[b] ? a : b
-        );
-    }
-
-    calculateConfidence(gesture) {
-        const occurrences = this.gestureStabilityBuffer.filter(g => g === gesture).length;
-        return occurrences / this.gestureStabilityBuffer.length;
+        return this.stream.getMostFrequentGesture();
     }
 
     // Configuration methods
@@ -203,8 +509,8 @@ export class GestureRecognizer {
         // sensitivity: 0.1 (very strict) to 1.0 (very loose)
         this.config.minDetectionConfidence = Math.max(0.1, Math.min(0.9, 0.9 - sensitivity * 0.4));
         this.config.minTrackingConfidence = Math.max(0.1, Math.min(0.9, 0.9 - sensitivity * 0.4));
-        this.config.fingerExtensionThreshold = 0.02 + (sensitivity * 0.03);
-        this.config.thumbExtensionThreshold = 0.05 + (sensitivity * 0.05);
+        this.config.fingerExtensionThreshold = 0.15 - (sensitivity * 0.1);
+        this.config.thumbExtensionThreshold = 0.2 - (sensitivity * 0.1);
         
         if (this.hands) {
             this.hands.setOptions({
@@ -218,19 +524,139 @@ export class GestureRecognizer {
         this.config.minGestureHoldTime = timeMs;
     }
 
+    // Roughly how long (ms) after the hand changes shape the new gesture is
+    // reported: it has to win a majority of the stability buffer, then be held
+    getRecognitionLatency() {
+        const framesToWin = Math.floor(this.stream.bufferSize / 2) + 1;
+        return framesToWin * this.detectionInterval + this.config.minGestureHoldTime;
+    }
+
+    // Training methods
+    startTraining(label) {
+        this.trainer.startRecording(label);
+    }
+
+    stopTraining() {
+        return this.trainer.stopRecording();
+    }
+
+    isTraining() {
+        return this.trainer.isRecording();
+    }
+
+    getTrainingLabel() {
+        return this.trainer.recordingLabel;
+    }
+
+    getTrainedGestures() {
+        return this.trainer.getSampleCounts();
+    }
+
+    clearTrainedGesture(label) {
+        this.trainer.clearLabel(label);
+    }
+
+    // Calibration methods
+    startCalibration() {
+        this.calibrator.reset();
+    }
+
+    // `fingers` is the pose the player is holding (see GestureCalibrator)
+    startCalibrationPose(fingers) {
+        this.calibrator.startRecording(fingers);
+    }
+
+    stopCalibrationPose() {
+        return this.calibrator.stopRecording();
+    }
+
+    getCalibrationSampleCount() {
+        return this.calibrator.recordedCount;
+    }
+
+    getCalibrationResult() {
+        return this.calibrator.getResult();
+    }
+
+    getCalibrationProfiles() {
+        return this.calibrationProfiles.getNames();
+    }
+
+    getActiveCalibrationProfile() {
+        return this.calibrationProfiles.activeName;
+    }
+
+    // Saves the thresholds under `name` and switches to them
+    saveCalibrationProfile(name, thresholds) {
+        const profileName = this.calibrationProfiles.add(name, thresholds);
+        this.config.applyCalibration(this.calibrationProfiles.getActive());
+        return profileName;
+    }
+
+    // `null` goes back to the default thresholds
+    useCalibrationProfile(name) {
+        this.calibrationProfiles.setActive(name);
+        this.config.applyCalibration(this.calibrationProfiles.getActive());
+        this.resetGestureState();
+    }
+
+    deleteCalibrationProfile(name) {
+        this.calibrationProfiles.remove(name);
+        this.config.applyCalibration(this.calibrationProfiles.getActive());
+    }
+
+    // Fixture recording methods
+    startLandmarkRecording(name) {
+        // Start from a clean state so a replay from the fixture reproduces the same output
+        this.resetGestureState();
+        this.recorder = new LandmarkRecorder(this.config, name);
+        this.recorder.start();
+    }
+
+    stopLandmarkRecording() {
+        if (!this.recorder) return null;
+        
+        const fixture = this.recorder.stop();
+        this.recorder = null;
+        return fixture;
+    }
+
+    isRecordingLandmarks() {
+        return this.recorder !== null;
+    }
+
+    resetGestureState() {
+        this.stream.reset();
+        this.playerStreams.forEach(stream => stream.reset());
+        this.palmHoldStart = null;
+        this.palmHoldFired = false;
+        this.lastHandTimestamp = null;
+        this.handLost = false;
+    }
+
+    // The stable gesture being held right now; in two-player mode, that player's
+    getCurrentGesture(player = 0) {
+        return this.playerCount > 1 ? this.playerStreams[player].currentGesture : this.stream.currentGesture;
+    }
+
     setStabilityBufferSize(size) {
-        this.bufferSize = Math.max(3, Math.min(10, size));
-        this.gestureStabilityBuffer = this.gestureStabilityBuffer.slice(-this.bufferSize);
+        const bufferSize = Math.max(3, Math.min(10, size));
+        [this.stream, ...this.playerStreams].forEach(stream => stream.setBufferSize(bufferSize));
     }
 
     // Debug methods
     getDebugInfo() {
         return {
-            currentGesture: this.currentGesture,
-            confidence: this.gestureConfidence,
-            bufferSize: this.gestureStabilityBuffer.length,
-            gestureBuffer: [...this.gestureStabilityBuffer],
-            holdTime: this.gestureHoldTime,
+            currentGesture: this.stream.currentGesture,
+            confidence: this.stream.gestureConfidence,
+            bufferSize: this.stream.gestureStabilityBuffer.length,
+            gestureBuffer: [...this.stream.gestureStabilityBuffer],
+            holdTime: this.stream.gestureHoldTime,
+            playerGestures: this.playerStreams.map(stream => stream.currentGesture),
+            handedness: this.currentHandedness,
+            usingWorker: this.usingWorker,
+            trainedGestures: this.trainer.getSampleCounts(),
+            calibrationProfile: this.calibrationProfiles.activeName,
             config: { ...this.config }
         };
     }
@@ -0,0 +1,75 @@
+// Turns noisy per-frame detections into stable gestures: a detection has to
+// win the stability buffer and then hold for minGestureHoldTime before it
+// becomes the current gesture. One stream per tracked player.
+export class GestureStream {
+    constructor(bufferSize = 5, defaultInterval = 100) {
+        this.bufferSize = bufferSize;
+        this.defaultInterval = defaultInterval; // ms assumed before the second detection
+        this.reset();
+    }
+
+    reset() {
+        this.currentGesture = 'none';
+        this.gestureConfidence = 0;
+        this.lastGesture = 'none';
+        this.gestureHoldTime = 0;
+        this.gestureStabilityBuffer = [];
+        this.lastUpdateTimestamp = null;
+    }
+
+    // Returns true when the current gesture changed
+    update(detectedGesture, timestamp, minHoldTime) {
+        // Hold time advances by the real time between detections
+        const elapsed = this.lastUpdateTimestamp !== null
+            ? timestamp - this.lastUpdateTimestamp
+            : this.defaultInterval;
+        this.lastUpdateTimestamp = timestamp;
+
+        // Add to stability buffer
+        this.gestureStabilityBuffer.push(detectedGesture);
+        if (this.gestureStabilityBuffer.length > this.bufferSize) {
+            this.gestureStabilityBuffer.shift();
+        }
+
+        // Determine stable gesture
+        const stableGesture = this.getMostFrequentGesture();
+        if (stableGesture === this.currentGesture) return false;
+
+        if (stableGesture === this.lastGesture) {
+            this.gestureHoldTime += elapsed;
+        } else {
+            this.gestureHoldTime = 0;
+            this.lastGesture = stableGesture;
+        }
+
+        // Only update if gesture is held long enough
+        if (this.gestureHoldTime < minHoldTime) return false;
+
+        this.currentGesture = stableGesture;
+        this.gestureConfidence = this.calculateConfidence(stableGesture);
+        return true;
+    }
+
+    getMostFrequentGesture() {
+        if (this.gestureStabilityBuffer.length === 0) return 'none';
+
+        const frequency = {};
+        this.gestureStabilityBuffer.forEach(gesture => {
+            frequency[gesture] = (frequency[gesture] || 0) + 1;
+        });
+
+        return Object.keys(frequency).reduce((a, b) =>
+            frequency[a] > frequency[b] ? a : b
+        );
+    }
+
+    calculateConfidence(gesture) {
+        const occurrences = this.gestureStabilityBuffer.filter(g => g === gesture).length;
+        return occurrences / this.gestureStabilityBuffer.length;
+    }
+
+    setBufferSize(size) {
+        this.bufferSize = size;
+        this.gestureStabilityBuffer = this.gestureStabilityBuffer.slice(-size);
+    }
+}
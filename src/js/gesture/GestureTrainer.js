@@ -0,0 +1,216 @@
+import { HandFrame } from './HandFrame.js';
+
+export class GestureTrainer {
+    // Bumped whenever the feature normalization changes
+    static FORMAT_VERSION = 2;
+
+    constructor(storageKey = 'sps-gesture-samples') {
+        this.storageKey = storageKey;
+
+        // Labelled samples: { label, features }
+        this.samples = [];
+
+        // Classifier settings
+        this.k = 5;                       // Neighbours considered per classification
+        this.maxDistance = 0.35;          // Mean per-landmark distance (palm lengths) beyond which a match is rejected
+        this.maxSamplesPerLabel = 200;    // Oldest samples are dropped past this count
+
+        // Recording state
+        this.recordingLabel = null;
+        this.recordedCount = 0;
+
+        this.load();
+    }
+
+    // Landmark normalization
+    static normalizeLandmarks(landmarks, handedness = 'Right', aspectRatio = 1) {
+        // Express every landmark in the hand-local frame (palm lengths), so samples are
+        // comparable regardless of hand size, camera distance, wrist roll or which hand recorded them
+        const frame = HandFrame.fromLandmarks(landmarks, handedness, aspectRatio);
+
+        const features = [];
+        frame.localize(landmarks).forEach(point => {
+            features.push(point.x, point.y, point.z);
+        });
+
+        return features;
+    }
+
+    static distance(a, b) {
+        // Mean euclidean distance between corresponding landmarks
+        let total = 0;
+        const pointCount = a.length / 3;
+
+        for (let i = 0; i < a.length; i += 3) {
+            total += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1], a[i + 2] - b[i + 2]);
+        }
+
+        return total / pointCount;
+    }
+
+    // Recording
+    startRecording(label) {
+        const name = (label || '').trim().toLowerCase();
+        if (!name) {
+            throw new Error('A gesture name is required to record samples');
+        }
+
+        this.recordingLabel = name;
+        this.recordedCount = 0;
+        console.log(`GestureTrainer: Recording samples for "${name}"`);
+    }
+
+    stopRecording() {
+        if (!this.recordingLabel) return 0;
+
+        const count = this.recordedCount;
+        console.log(`GestureTrainer: Recorded ${count} samples for "${this.recordingLabel}"`);
+
+        this.recordingLabel = null;
+        this.recordedCount = 0;
+        this.save();
+
+        return count;
+    }
+
+    isRecording() {
+        return this.recordingLabel !== null;
+    }
+
+    recordFrame(landmarks, handedness, aspectRatio) {
+        if (!this.recordingLabel || !landmarks) return;
+
+        this.addSample(this.recordingLabel, landmarks, handedness, aspectRatio);
+        this.recordedCount++;
+    }
+
+    addSample(label, landmarks, handedness, aspectRatio) {
+        this.samples.push({
+            label: label,
+            features: GestureTrainer.normalizeLandmarks(landmarks, handedness, aspectRatio)
+        });
+
+        // Keep each label bounded so old samples age out when re-tuning
+        const labelSamples = this.samples.filter(sample => sample.label === label);
+        if (labelSamples.length > this.maxSamplesPerLabel) {
+            const index = this.samples.indexOf(labelSamples[0]);
+            this.samples.splice(index, 1);
+        }
+    }
+
+    // Classification
+    hasModel() {
+        return this.samples.length > 0;
+    }
+
+    classify(landmarks, handedness, aspectRatio) {
+        if (!this.hasModel() || !landmarks) return null;
+
+        const features = GestureTrainer.normalizeLandmarks(landmarks, handedness, aspectRatio);
+
+        const neighbours = this.samples
+            .map(sample => ({
+                label: sample.label,
+                distance: GestureTrainer.distance(features, sample.features)
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, this.k);
+
+        // Reject hands that don't resemble any trained gesture
+        if (neighbours[0].distance > this.maxDistance) {
+            return null;
+        }
+
+        // Distance-weighted vote among the nearest neighbours
+        const votes = {};
+        let totalWeight = 0;
+        neighbours.forEach(neighbour => {
+            if (neighbour.distance > this.maxDistance) return;
+            const weight = 1 / (neighbour.distance + 1e-6);
+            votes[neighbour.label] = (votes[neighbour.label] || 0) + weight;
+            totalWeight += weight;
+        });
+
+        const gesture = Object.keys(votes).reduce((a, b) =>
+            votes[a] > votes[b] ? a : b
+        );
+
+        return {
+            gesture: gesture,
+            confidence: votes[gesture] / totalWeight,
+            distance: neighbours[0].distance
+        };
+    }
+
+    // Sample management
+    getLabels() {
+        return [...new Set(this.samples.map(sample => sample.label))];
+    }
+
+    getSampleCounts() {
+        const counts = {};
+        this.samples.forEach(sample => {
+            counts[sample.label] = (counts[sample.label] || 0) + 1;
+        });
+        return counts;
+    }
+
+    clearLabel(label) {
+        this.samples = this.samples.filter(sample => sample.label !== label);
+        this.save();
+    }
+
+    clearAll() {
+        this.samples = [];
+        this.save();
+    }
+
+    // Persistence
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, this.serialize());
+        } catch (error) {
+            console.warn('GestureTrainer: Failed to save samples:', error);
+        }
+    }
+
+    load() {
+        try {
+            if (typeof localStorage === 'undefined') return;
+
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) {
+                this.samples = GestureTrainer.parseSamples(stored);
+                console.log(`GestureTrainer: Loaded ${this.samples.length} samples`);
+            }
+        } catch (error) {
+            console.warn('GestureTrainer: Failed to load samples:', error);
+            this.samples = [];
+        }
+    }
+
+    // Export/Import samples
+    serialize() {
+        return JSON.stringify({ version: GestureTrainer.FORMAT_VERSION, samples: this.samples });
+    }
+
+    static fromJSON(jsonString, storageKey) {
+        const trainer = new GestureTrainer(storageKey);
+        trainer.samples = GestureTrainer.parseSamples(jsonString);
+        return trainer;
+    }
+
+    static parseSamples(jsonString) {
+        const data = JSON.parse(jsonString);
+
+        // Version 1 samples were normalized in image space and can't be mixed with hand-frame features
+        if (data.version !== GestureTrainer.FORMAT_VERSION) {
+            console.warn(`GestureTrainer: Discarding samples in outdated format (version ${data.version}). Please re-record them.`);
+            return [];
+        }
+
+        return data.samples || [];
+    }
+}
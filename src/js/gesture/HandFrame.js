@@ -0,0 +1,102 @@
+// MediaPipe hand landmark indices used to build the frame
+const WRIST = 0;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+export class HandFrame {
+    constructor(landmarks, handedness = 'Right', aspectRatio = 1) {
+        // Landmarks are normalized to image width and height separately,
+        // so x is rescaled to keep the frame's axes in the same units
+        this.aspectRatio = aspectRatio;
+        this.handedness = handedness;
+        this.origin = this.toImageSpace(landmarks[WRIST]);
+
+        const middleMcp = this.toImageSpace(landmarks[MIDDLE_MCP]);
+        const indexMcp = this.toImageSpace(landmarks[INDEX_MCP]);
+        const pinkyMcp = this.toImageSpace(landmarks[PINKY_MCP]);
+
+        // Y: wrist -> middle MCP (along the palm towards the fingers)
+        const palmVector = subtract(middleMcp, this.origin);
+        this.palmLength = length(palmVector) || 1;
+        this.yAxis = normalize(palmVector);
+
+        // X: pinky MCP -> index MCP, made orthogonal to Y (points to the thumb side for either hand)
+        const across = subtract(indexMcp, pinkyMcp);
+        this.xAxis = normalize(subtract(across, scale(this.yAxis, dot(across, this.yAxis))));
+
+        // Z: palm normal. The cross product flips with mirror-image hands,
+        // so the handedness label is used to make Z point out of the palm for both
+        const sign = handedness === 'Left' ? -1 : 1;
+        this.zAxis = scale(cross(this.xAxis, this.yAxis), sign);
+    }
+
+    static fromLandmarks(landmarks, handedness, aspectRatio) {
+        return new HandFrame(landmarks, handedness, aspectRatio);
+    }
+
+    // MediaPipe labels hands assuming a mirrored (selfie) image. For an
+    // unmirrored camera feed the label has to be swapped to get the physical hand.
+    static resolveHandedness(label, selfieMode = false) {
+        if (label !== 'Left' && label !== 'Right') return 'Right';
+        if (selfieMode) return label;
+        return label === 'Left' ? 'Right' : 'Left';
+    }
+
+    toImageSpace(point) {
+        return {
+            x: point.x * this.aspectRatio,
+            y: point.y,
+            z: (point.z || 0) * this.aspectRatio
+        };
+    }
+
+    // Express a landmark in hand-local coordinates, in palm lengths
+    toLocal(point) {
+        const offset = subtract(this.toImageSpace(point), this.origin);
+        return {
+            x: dot(offset, this.xAxis) / this.palmLength,
+            y: dot(offset, this.yAxis) / this.palmLength,
+            z: dot(offset, this.zAxis) / this.palmLength
+        };
+    }
+
+    localize(landmarks) {
+        return landmarks.map(point => this.toLocal(point));
+    }
+
+    // Signed palm facing: positive when the palm faces the camera
+    getPalmFacing() {
+        // Image-space Z grows away from the camera
+        return -this.zAxis.z;
+    }
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function length(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+function normalize(v) {
+    const len = length(v) || 1;
+    return scale(v, 1 / len);
+}
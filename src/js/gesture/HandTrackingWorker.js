@@ -0,0 +1,75 @@
+// Classic worker that runs MediaPipe Hands off the main thread.
+// Frames arrive as transferred ImageBitmaps; only landmark data is posted back.
+let hands = null;
+let pendingTimestamp = 0;
+
+function serializeResults(results) {
+    return {
+        multiHandLandmarks: (results.multiHandLandmarks || []).map(hand =>
+            hand.map(point => ({ x: point.x, y: point.y, z: point.z }))
+        ),
+        multiHandedness: (results.multiHandedness || []).map(classification => ({
+            index: classification.index,
+            score: classification.score,
+            label: classification.label
+        }))
+    };
+}
+
+async function init(assetPath, options) {
+    // hands.js registers `Hands` on the worker's global scope
+    importScripts(`${assetPath}hands.js`);
+
+    hands = new self.Hands({
+        locateFile: (file) => `${assetPath}${file}`
+    });
+    hands.setOptions(options);
+    hands.onResults((results) => {
+        self.postMessage({
+            type: 'results',
+            timestamp: pendingTimestamp,
+            results: serializeResults(results)
+        });
+    });
+
+    await hands.initialize();
+}
+
+async function processFrame(bitmap, timestamp) {
+    pendingTimestamp = timestamp;
+    try {
+        await hands.send({ image: bitmap });
+    } finally {
+        bitmap.close();
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                await init(message.assetPath, message.options);
+                self.postMessage({ type: 'ready' });
+                break;
+            case 'options':
+                if (hands) hands.setOptions(message.options);
+                break;
+            case 'frame':
+                await processFrame(message.bitmap, message.timestamp);
+                break;
+            case 'close':
+                if (hands) await hands.close();
+                hands = null;
+                self.close();
+                break;
+        }
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            stage: message.type,
+            message: error && error.message ? error.message : String(error)
+        });
+    }
+};
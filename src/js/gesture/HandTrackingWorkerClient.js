@@ -0,0 +1,99 @@
+// Main-thread side of HandTrackingWorker. Mirrors the parts of the MediaPipe
+// `Hands` API that GestureRecognizer uses, so either can drive recognition.
+export class HandTrackingWorkerClient {
+    constructor(assetPath) {
+        this.assetPath = assetPath;
+        this.worker = null;
+        this.options = {};
+        this.resultsListener = null;
+
+        // Pending requests awaiting a reply from the worker
+        this.pendingInit = null;
+        this.pendingFrame = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+    }
+
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        if (this.worker) {
+            this.worker.postMessage({ type: 'options', options: options });
+        }
+    }
+
+    onResults(listener) {
+        this.resultsListener = listener;
+    }
+
+    initialize() {
+        this.worker = new Worker(new URL('./HandTrackingWorker.js', import.meta.url));
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            this.rejectPending(new Error(event.message || 'Hand tracking worker failed'));
+        };
+
+        return new Promise((resolve, reject) => {
+            this.pendingInit = { resolve, reject };
+            this.worker.postMessage({
+                type: 'init',
+                assetPath: this.assetPath,
+                options: this.options
+            });
+        });
+    }
+
+    async send(inputs) {
+        // Frame capture is a cheap copy; inference happens in the worker
+        const timestamp = Date.now();
+        const bitmap = await createImageBitmap(inputs.image);
+
+        return new Promise((resolve, reject) => {
+            this.pendingFrame = { resolve, reject };
+            this.worker.postMessage({ type: 'frame', bitmap: bitmap, timestamp: timestamp }, [bitmap]);
+        });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                if (this.pendingInit) {
+                    this.pendingInit.resolve();
+                    this.pendingInit = null;
+                }
+                break;
+            case 'results':
+                if (this.resultsListener) {
+                    this.resultsListener(message.results, message.timestamp);
+                }
+                if (this.pendingFrame) {
+                    this.pendingFrame.resolve();
+                    this.pendingFrame = null;
+                }
+                break;
+            case 'error':
+                this.rejectPending(new Error(`Hand tracking worker ${message.stage} failed: ${message.message}`));
+                break;
+        }
+    }
+
+    rejectPending(error) {
+        if (this.pendingInit) {
+            this.pendingInit.reject(error);
+            this.pendingInit = null;
+        }
+        if (this.pendingFrame) {
+            this.pendingFrame.reject(error);
+            this.pendingFrame = null;
+        }
+    }
+
+    async close() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'close' });
+            this.worker = null;
+        }
+        this.rejectPending(new Error('Hand tracking worker closed'));
+    }
+}
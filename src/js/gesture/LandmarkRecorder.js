@@ -0,0 +1,84 @@
+export class LandmarkRecorder {
+    static FORMAT_VERSION = 1;
+
+    constructor(config, name = 'capture') {
+        this.config = config;
+        this.name = name;
+        this.frames = [];
+        this.gestures = [];
+        this.startTime = null;
+        this.recordedAt = null;
+    }
+
+    start() {
+        this.frames = [];
+        this.gestures = [];
+        this.startTime = null;
+        this.recordedAt = new Date().toISOString();
+        console.log(`LandmarkRecorder: Recording "${this.name}"`);
+    }
+
+    captureFrame(results, timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+
+        // Only the landmark data is kept; the camera image is dropped
+        this.frames.push({
+            t: timestamp - this.startTime,
+            multiHandLandmarks: (results.multiHandLandmarks || []).map(hand =>
+                hand.map(point => ({ x: point.x, y: point.y, z: point.z }))
+            ),
+            multiHandedness: (results.multiHandedness || []).map(classification => ({
+                index: classification.index,
+                score: classification.score,
+                label: classification.label
+            }))
+        });
+    }
+
+    captureGesture(gesture, timestamp) {
+        if (this.startTime === null) return;
+
+        // Gestures emitted while recording become the fixture's expected output
+        this.gestures.push({ t: timestamp - this.startTime, gesture: gesture });
+    }
+
+    stop() {
+        console.log(`LandmarkRecorder: Captured ${this.frames.length} frames, ${this.gestures.length} gestures`);
+        return this.toFixture();
+    }
+
+    toFixture() {
+        return {
+            version: LandmarkRecorder.FORMAT_VERSION,
+            name: this.name,
+            recordedAt: this.recordedAt,
+            config: {
+                frameWidth: this.config.frameWidth,
+                frameHeight: this.config.frameHeight,
+                selfieMode: this.config.selfieMode,
+                // A calibration profile may have changed these from the defaults
+                fingerExtensionThreshold: this.config.fingerExtensionThreshold,
+                thumbExtensionThreshold: this.config.thumbExtensionThreshold
+            },
+            frames: this.frames,
+            expected: this.gestures
+        };
+    }
+
+    // Save a fixture as a JSON file through the browser
+    static download(fixture, filename = `${fixture.name || 'capture'}.json`) {
+        const blob = new Blob([JSON.stringify(fixture)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+}
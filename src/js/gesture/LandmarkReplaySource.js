@@ -0,0 +1,120 @@
+import { LandmarkRecorder } from './LandmarkRecorder.js';
+
+export class LandmarkReplaySource {
+    constructor(recognizer, fixture) {
+        this.recognizer = recognizer;
+        this.fixture = fixture;
+
+        // Playback state
+        this.isPlaying = false;
+        this.frameIndex = 0;
+        this.timeoutId = null;
+        this.startTime = 0;
+    }
+
+    static validateFixture(fixture) {
+        if (!fixture || !Array.isArray(fixture.frames)) {
+            throw new Error('Invalid landmark fixture: missing "frames" array');
+        }
+        if (fixture.version !== LandmarkRecorder.FORMAT_VERSION) {
+            throw new Error(`Unsupported landmark fixture version: ${fixture.version}`);
+        }
+    }
+
+    applyFixtureConfig() {
+        // Recognition depends on the capture geometry, so replay with the recorded settings
+        if (this.fixture.config) {
+            Object.assign(this.recognizer.config, this.fixture.config);
+        }
+        this.recognizer.resetGestureState();
+    }
+
+    // Real-time playback: frames are delivered with their original spacing
+    play() {
+        LandmarkReplaySource.validateFixture(this.fixture);
+        this.applyFixtureConfig();
+
+        this.isPlaying = true;
+        this.frameIndex = 0;
+        this.startTime = Date.now();
+
+        return new Promise((resolve) => {
+            const deliverNext = () => {
+                if (!this.isPlaying) {
+                    resolve(false);
+                    return;
+                }
+
+                const frame = this.fixture.frames[this.frameIndex];
+                if (!frame) {
+                    this.isPlaying = false;
+                    resolve(true);
+                    return;
+                }
+
+                this.recognizer.onResults(frame, this.startTime + frame.t);
+                this.frameIndex++;
+
+                const nextFrame = this.fixture.frames[this.frameIndex];
+                const delay = nextFrame ? Math.max(0, this.startTime + nextFrame.t - Date.now()) : 0;
+                this.timeoutId = setTimeout(deliverNext, delay);
+            };
+
+            deliverNext();
+        });
+    }
+
+    stop() {
+        this.isPlaying = false;
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+    }
+
+    // Headless playback: frames are delivered back-to-back on a virtual clock that
+    // carries the original timestamps, and the emitted gestures are returned
+    runHeadless() {
+        LandmarkReplaySource.validateFixture(this.fixture);
+        this.applyFixtureConfig();
+
+        const emitted = [];
+        const originalCallback = this.recognizer.onGestureCallback;
+
+        this.recognizer.onGestureCallback = (gesture, confidence, timestamp) => {
+            emitted.push({ t: timestamp, gesture: gesture, confidence: confidence });
+            if (originalCallback) {
+                originalCallback(gesture, confidence, timestamp);
+            }
+        };
+
+        try {
+            this.fixture.frames.forEach(frame => {
+                this.recognizer.onResults(frame, frame.t);
+            });
+        } finally {
+            this.recognizer.onGestureCallback = originalCallback;
+        }
+
+        return emitted;
+    }
+
+    // Compare emitted gestures against the fixture's expected sequence
+    static compare(emitted, expected = [], timeTolerance = 150) {
+        const mismatches = [];
+        const length = Math.max(emitted.length, expected.length);
+
+        for (let i = 0; i < length; i++) {
+            const actual = emitted[i];
+            const wanted = expected[i];
+
+            if (!actual || !wanted || actual.gesture !== wanted.gesture) {
+                mismatches.push({ index: i, expected: wanted || null, actual: actual || null });
+            } else if (Math.abs(actual.t - wanted.t) > timeTolerance) {
+                mismatches.push({ index: i, expected: wanted, actual: actual, reason: 'timing' });
+            }
+        }
+
+        return mismatches;
+    }
+}
@@ -0,0 +1,45 @@
+import { InputProvider } from './InputProvider.js';
+
+// Hand gestures from the webcam via GestureRecognizer; the hand's horizontal position steers lanes.
+// With two players each hand gets its own gesture stream.
+export class CameraInputProvider extends InputProvider {
+    constructor(gestureRecognizer) {
+        super('camera', 'Camera');
+        this.gestureRecognizer = gestureRecognizer;
+        this.gestureRecognizer.onGestureCallback = (gesture, confidence, timestamp) => {
+            this.emit(gesture, confidence, timestamp);
+        };
+        this.gestureRecognizer.onPlayerGestureCallback = (player, gesture, confidence, timestamp) => {
+            this.emit(gesture, confidence, timestamp, player);
+        };
+        this.gestureRecognizer.onHandPositionCallback = (position, timestamp) => {
+            this.emitSteer({ position: position }, timestamp);
+        };
+    }
+
+    isAvailable() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    async start() {
+        // The recognizer (models + camera) is only set up the first time the camera is chosen
+        if (!this.gestureRecognizer.isInitialized) {
+            await this.gestureRecognizer.init();
+        } else {
+            await this.gestureRecognizer.resumeCamera();
+        }
+        await super.start();
+    }
+
+    stop() {
+        super.stop();
+        if (this.gestureRecognizer.isInitialized) {
+            this.gestureRecognizer.pauseCamera();
+        }
+    }
+
+    dispose() {
+        super.stop();
+        this.gestureRecognizer.dispose();
+    }
+}
@@ -0,0 +1,76 @@
+import { InputProvider } from './InputProvider.js';
+
+// Face buttons on any connected gamepad (standard mapping); the d-pad changes lanes.
+// In two-player modes the second connected pad is player 2.
+export class GamepadInputProvider extends InputProvider {
+    static DEFAULT_BUTTON_MAP = {
+        0: 'rock',      // A / Cross
+        1: 'paper',     // B / Circle
+        2: 'scissors',  // X / Square
+        3: 'lizard',    // Y / Triangle
+        4: 'spock'      // Left bumper
+    };
+
+    static DEFAULT_STEER_MAP = {
+        14: -1,         // D-pad left
+        15: 1           // D-pad right
+    };
+
+    constructor(buttonMap = GamepadInputProvider.DEFAULT_BUTTON_MAP, steerMap = GamepadInputProvider.DEFAULT_STEER_MAP) {
+        super('gamepad', 'Gamepad');
+        this.buttonMap = buttonMap;
+        this.steerMap = steerMap;
+        this.pollId = null;
+        this.previousPressed = {};
+        this.poll = this.poll.bind(this);
+    }
+
+    isAvailable() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    async start() {
+        await super.start();
+        this.previousPressed = {};
+        this.pollId = requestAnimationFrame(this.poll);
+    }
+
+    stop() {
+        super.stop();
+        if (this.pollId) {
+            cancelAnimationFrame(this.pollId);
+            this.pollId = null;
+        }
+    }
+
+    poll() {
+        if (!this.isActive) return;
+
+        // The Gamepad API has no button events, so check for new presses every frame
+        Array.from(navigator.getGamepads()).filter(Boolean).forEach((gamepad, player) => {
+            Object.keys(this.buttonMap).forEach(index => {
+                if (this.wasPressed(gamepad, index)) {
+                    this.emit(this.buttonMap[index], 1, Date.now(), Math.min(player, 1));
+                }
+            });
+            Object.keys(this.steerMap).forEach(index => {
+                if (this.wasPressed(gamepad, index)) {
+                    this.emitSteer({ delta: this.steerMap[index] });
+                }
+            });
+        });
+
+        this.pollId = requestAnimationFrame(this.poll);
+    }
+
+    // True only on the frame a button goes down
+    wasPressed(gamepad, index) {
+        const button = gamepad.buttons[index];
+        const key = `${gamepad.index}:${index}`;
+        const pressed = !!(button && button.pressed);
+        const isNewPress = pressed && !this.previousPressed[key];
+
+        this.previousPressed[key] = pressed;
+        return isNewPress;
+    }
+}
@@ -0,0 +1,88 @@
+export class InputManager {
+    constructor(onGestureCallback, onSteerCallback = null) {
+        this.onGestureCallback = onGestureCallback;
+        this.onSteerCallback = onSteerCallback;
+        this.providers = {};
+        this.activeProvider = null;
+    }
+
+    registerProvider(provider) {
+        provider.onGesture = (gesture, confidence, timestamp, source, player) => {
+            // Only the active provider drives the game
+            if (provider !== this.activeProvider) return;
+            if (this.onGestureCallback) {
+                this.onGestureCallback(gesture, confidence, timestamp, source, player);
+            }
+        };
+        provider.onSteer = (steer, timestamp, source) => {
+            if (provider !== this.activeProvider) return;
+            if (this.onSteerCallback) {
+                this.onSteerCallback(steer, timestamp, source);
+            }
+        };
+        this.providers[provider.name] = provider;
+        return provider;
+    }
+
+    getProvider(name) {
+        return this.providers[name] || null;
+    }
+
+    getAvailableProviders() {
+        return Object.values(this.providers).filter(provider => provider.isAvailable());
+    }
+
+    getActiveProviderName() {
+        return this.activeProvider ? this.activeProvider.name : null;
+    }
+
+    // Switch the game's input to another provider. If the new provider fails
+    // to start, the previous one is restored and the error is re-thrown.
+    async switchTo(name) {
+        const provider = this.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown input provider: ${name}`);
+        }
+        if (!provider.isAvailable()) {
+            throw new Error(`Input provider "${provider.label}" is not available on this device`);
+        }
+        if (provider === this.activeProvider) return provider;
+
+        const previous = this.activeProvider;
+        if (previous) {
+            previous.stop();
+        }
+
+        try {
+            this.activeProvider = provider;
+            await provider.start();
+            console.log(`InputManager: Switched input to ${provider.label}`);
+            return provider;
+        } catch (error) {
+            provider.stop();
+            this.activeProvider = previous;
+            if (previous) {
+                await previous.start();
+            }
+            throw error;
+        }
+    }
+
+    // Stop the active provider without forgetting it, e.g. while a replay plays
+    suspend() {
+        if (this.activeProvider && this.activeProvider.isActive) {
+            this.activeProvider.stop();
+        }
+    }
+
+    async resume() {
+        if (this.activeProvider && !this.activeProvider.isActive) {
+            await this.activeProvider.start();
+        }
+    }
+
+    dispose() {
+        Object.values(this.providers).forEach(provider => provider.dispose());
+        this.activeProvider = null;
+    }
+}
@@ -0,0 +1,42 @@
+// Base class for anything that can produce player gestures
+export class InputProvider {
+    constructor(name, label) {
+        this.name = name;
+        this.label = label;
+        this.isActive = false;
+        this.onGesture = null;
+        this.onSteer = null;
+    }
+
+    // Whether this device/browser can use the provider at all
+    isAvailable() {
+        return true;
+    }
+
+    async start() {
+        this.isActive = true;
+    }
+
+    stop() {
+        this.isActive = false;
+    }
+
+    // `player` is 0 except in two-player modes, where player 2 is 1
+    emit(gesture, confidence = 1, timestamp = Date.now(), player = 0) {
+        if (this.isActive && this.onGesture) {
+            this.onGesture(gesture, confidence, timestamp, this.name, player);
+        }
+    }
+
+    // Lane steering: `{ position }` is 0..1 across the player's view (left to right),
+    // `{ delta }` moves that many lanes
+    emitSteer(steer, timestamp = Date.now()) {
+        if (this.isActive && this.onSteer) {
+            this.onSteer(steer, timestamp, this.name);
+        }
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
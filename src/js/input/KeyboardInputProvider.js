@@ -0,0 +1,73 @@
+import { InputProvider } from './InputProvider.js';
+
+// Number keys or A/S/D(/F/G) pick a gesture, arrow keys change lanes. J/K/L(/;/') are player 2's keys.
+// Lizard and Spock keys only do something when the rules include them.
+export class KeyboardInputProvider extends InputProvider {
+    static DEFAULT_KEY_MAP = {
+        Digit1: 'rock',
+        Digit2: 'paper',
+        Digit3: 'scissors',
+        Digit4: 'lizard',
+        Digit5: 'spock',
+        KeyA: 'rock',
+        KeyS: 'paper',
+        KeyD: 'scissors',
+        KeyF: 'lizard',
+        KeyG: 'spock'
+    };
+
+    static DEFAULT_PLAYER_TWO_KEY_MAP = {
+        KeyJ: 'rock',
+        KeyK: 'paper',
+        KeyL: 'scissors',
+        Semicolon: 'lizard',
+        Quote: 'spock'
+    };
+
+    static DEFAULT_STEER_MAP = {
+        ArrowLeft: -1,
+        ArrowRight: 1
+    };
+
+    constructor(keyMap = KeyboardInputProvider.DEFAULT_KEY_MAP, steerMap = KeyboardInputProvider.DEFAULT_STEER_MAP, playerTwoKeyMap = KeyboardInputProvider.DEFAULT_PLAYER_TWO_KEY_MAP) {
+        super('keyboard', 'Keyboard');
+        this.keyMap = keyMap;
+        this.playerTwoKeyMap = playerTwoKeyMap;
+        this.steerMap = steerMap;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    async start() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        await super.start();
+    }
+
+    stop() {
+        super.stop();
+        window.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    handleKeyDown(event) {
+        // Leave shortcuts and text fields alone
+        if (event.repeat || event.ctrlKey || event.metaKey || event.altKey || event.shiftKey) return;
+        if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA')) return;
+
+        const gesture = this.keyMap[event.code];
+        if (gesture) {
+            event.preventDefault();
+            this.emit(gesture);
+        }
+
+        const playerTwoGesture = this.playerTwoKeyMap[event.code];
+        if (playerTwoGesture) {
+            event.preventDefault();
+            this.emit(playerTwoGesture, 1, Date.now(), 1);
+        }
+
+        const delta = this.steerMap[event.code];
+        if (delta) {
+            event.preventDefault();
+            this.emitSteer({ delta: delta });
+        }
+    }
+}
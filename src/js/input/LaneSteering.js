@@ -0,0 +1,32 @@
+// Maps a continuous horizontal position (0..1 across the player's view) to a
+// lane. The outer edges of the view are hard to reach with a hand in frame,
+// so only the middle range is used, and a lane change needs the position to
+// cross the boundary by a margin so tracking jitter can't flip lanes.
+export class LaneSteering {
+    constructor(laneCount = 1, edgeMargin = 0.15, hysteresis = 0.2) {
+        this.laneCount = laneCount;
+        this.edgeMargin = edgeMargin;   // Fraction of the view ignored on each side
+        this.hysteresis = hysteresis;   // Fraction of a lane to move past a boundary before switching
+    }
+
+    setLaneCount(laneCount) {
+        this.laneCount = laneCount;
+    }
+
+    laneFromPosition(position, currentLane) {
+        if (this.laneCount <= 1) return 0;
+
+        const span = 1 - this.edgeMargin * 2;
+        const normalized = Math.min(Math.max((position - this.edgeMargin) / span, 0), 1);
+        const scaled = normalized * this.laneCount;
+        const candidate = Math.min(Math.floor(scaled), this.laneCount - 1);
+
+        if (candidate === currentLane) return currentLane;
+
+        // Distance past the boundary next to the current lane, in lanes
+        const boundary = candidate > currentLane ? currentLane + 1 : currentLane;
+        if (Math.abs(scaled - boundary) < this.hysteresis) return currentLane;
+
+        return candidate;
+    }
+}
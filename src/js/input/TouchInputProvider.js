@@ -0,0 +1,48 @@
+import { InputProvider } from './InputProvider.js';
+
+// On-screen buttons, one per gesture plus lane arrows (see #touchControls in index.html)
+export class TouchInputProvider extends InputProvider {
+    constructor(container) {
+        super('touch', 'Touch buttons');
+        this.container = container;
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+    }
+
+    isAvailable() {
+        return !!this.container;
+    }
+
+    async start() {
+        this.container.classList.add('show');
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        await super.start();
+    }
+
+    stop() {
+        super.stop();
+        if (this.container) {
+            this.container.classList.remove('show');
+            this.container.removeEventListener('pointerdown', this.handlePointerDown);
+        }
+    }
+
+    handlePointerDown(event) {
+        const steerButton = event.target.closest('[data-steer]');
+        if (steerButton) {
+            event.preventDefault();
+            this.emitSteer({ delta: Number(steerButton.dataset.steer) });
+            return;
+        }
+
+        const button = event.target.closest('[data-gesture]');
+        if (!button) return;
+
+        event.preventDefault();
+        this.emit(button.dataset.gesture);
+
+        // Highlight the selected gesture
+        this.container.querySelectorAll('[data-gesture]').forEach(element => {
+            element.classList.toggle('selected', element === button);
+        });
+    }
+}
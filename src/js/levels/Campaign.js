@@ -0,0 +1,103 @@
+import { LevelLoader } from './LevelLoader.js';
+
+// The handcrafted levels, played in order. A level unlocks once the one
+// before it has been completed; progress and best scores live in localStorage.
+export class Campaign {
+    static INDEX_URL = '/assets/levels/campaign.json';
+
+    constructor(storageKey = 'sps-campaign') {
+        this.storageKey = storageKey;
+        this.levels = [];
+        this.progress = this.loadProgress();
+    }
+
+    // The index lists level files relative to itself: { "levels": ["01.json", ...] }
+    async load(indexUrl = Campaign.INDEX_URL) {
+        const response = await fetch(indexUrl);
+        if (!response.ok) {
+            throw new Error(`Could not load campaign ${indexUrl} (HTTP ${response.status})`);
+        }
+
+        const index = await response.json();
+        if (!index || !Array.isArray(index.levels) || index.levels.length === 0) {
+            throw new Error(`Invalid campaign (${indexUrl}): "levels" must be a non-empty list of level files`);
+        }
+
+        const baseUrl = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+        const levels = await Promise.all(index.levels.map(file => LevelLoader.load(baseUrl + file)));
+
+        const ids = new Set();
+        levels.forEach(level => {
+            if (ids.has(level.id)) {
+                throw new Error(`Invalid campaign (${indexUrl}): level id "${level.id}" is used twice`);
+            }
+            ids.add(level.id);
+        });
+
+        this.levels = levels;
+        return levels;
+    }
+
+    getLevels() {
+        return [...this.levels];
+    }
+
+    getLevel(index) {
+        return this.levels[index] || null;
+    }
+
+    isUnlocked(index) {
+        if (index === 0) return true;
+        const previous = this.levels[index - 1];
+        return !!previous && this.isCompleted(previous.id);
+    }
+
+    isCompleted(id) {
+        return this.progress.completed.includes(id);
+    }
+
+    getBestScore(id) {
+        return this.progress.bestScores[id] || 0;
+    }
+
+    // Returns the level it unlocked, if any
+    complete(index, score) {
+        const level = this.levels[index];
+        if (!level) return null;
+
+        const wasUnlocked = this.isUnlocked(index + 1);
+        if (!this.isCompleted(level.id)) {
+            this.progress.completed.push(level.id);
+        }
+        this.progress.bestScores[level.id] = Math.max(this.getBestScore(level.id), score);
+        this.saveProgress();
+
+        const next = this.levels[index + 1];
+        return next && !wasUnlocked ? next : null;
+    }
+
+    loadProgress() {
+        const empty = { completed: [], bestScores: {} };
+        try {
+            if (typeof localStorage === 'undefined') return empty;
+
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && Array.isArray(stored.completed) && stored.bestScores
+                ? stored
+                : empty;
+        } catch (error) {
+            console.warn('Campaign: Failed to load progress:', error);
+            return empty;
+        }
+    }
+
+    saveProgress() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.progress));
+        } catch (error) {
+            console.warn('Campaign: Failed to save progress:', error);
+        }
+    }
+}
@@ -0,0 +1,200 @@
+import { RuleTable } from '../rules/RuleTable.js';
+import { PowerUpManager } from '../game/PowerUpManager.js';
+
+// Level files describe a run as timed waves instead of random spawns:
+//
+// {
+//   "format": 1,
+//   "id": "first-throws",
+//   "name": "First Throws",
+//   "rules": "classic",              rule variant (optional, default classic)
+//   "laneCount": 1,                  (optional, default 1)
+//   "waves": [{
+//     "name": "Warm up",             (optional)
+//     "delay": 1000,                 ms before the wave's first spawn (optional)
+//     "spacing": 4000,               ms between spawns
+//     "speed": 1.0,                  speed multiplier while the wave runs
+//     "checkpoint": true,            a retry after game over starts here
+//     "spawns": [
+//       "rock",                                  obstacle in the middle lane
+//       { "obstacle": "paper", "lane": 0 },
+//       { "obstacle": "random" },                any gesture, seeded
+//       { "obstacle": "rock", "variant": "morph", "morphTo": "paper" },
+//       { "obstacle": "paper", "variant": "disguised" },
+//       { "obstacle": "scissors", "variant": "mirror" },
+//       { "powerUp": "shield" },
+//       { "pickup": "health", "lane": 2 },
+//       { "wait": 2000 }                         extra gap before the next spawn
+//     ]
+//   }]
+// }
+//
+// Spacing is a minimum: the obstacle manager still keeps spawns
+// minObstacleDistance apart, so a tight spawn waits until there's room.
+export class LevelLoader {
+    static FORMAT_VERSION = 1;
+    static PICKUPS = ['health'];
+    static VARIANTS = ['morph', 'disguised', 'mirror'];
+
+    // Collects every problem in the file, so one error lists them all
+    static validate(level, source = 'level') {
+        const problems = [];
+        const problem = (path, message) => problems.push(`${path}: ${message}`);
+        const isPositive = value => typeof value === 'number' && value > 0;
+
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            throw new Error(`Invalid level (${source}): not a level object`);
+        }
+        if (level.format !== LevelLoader.FORMAT_VERSION) {
+            problem('format', `expected ${LevelLoader.FORMAT_VERSION}, got ${JSON.stringify(level.format)}`);
+        }
+        if (typeof level.id !== 'string' || level.id === '') {
+            problem('id', 'must be a non-empty string');
+        }
+        if (typeof level.name !== 'string' || level.name === '') {
+            problem('name', 'must be a non-empty string');
+        }
+
+        let ruleTable = null;
+        const rules = level.rules === undefined ? RuleTable.DEFAULT_VARIANT : level.rules;
+        if (!RuleTable.VARIANTS[rules]) {
+            problem('rules', `unknown rule variant ${JSON.stringify(rules)}`);
+        } else {
+            ruleTable = RuleTable.fromVariant(rules);
+        }
+
+        const laneCount = level.laneCount === undefined ? 1 : level.laneCount;
+        if (!Number.isInteger(laneCount) || laneCount < 1) {
+            problem('laneCount', 'must be a whole number of at least 1');
+        }
+        const checkLane = (path, lane) => {
+            if (lane !== undefined && (!Number.isInteger(lane) || lane < 0 || lane >= laneCount)) {
+                problem(`${path}.lane`, `must be a lane from 0 to ${laneCount - 1}`);
+            }
+        };
+
+        if (!Array.isArray(level.waves) || level.waves.length === 0) {
+            problem('waves', 'must be a non-empty list');
+        } else {
+            level.waves.forEach((wave, waveIndex) => {
+                const wavePath = `waves[${waveIndex}]`;
+                if (!wave || typeof wave !== 'object') {
+                    problem(wavePath, 'must be an object');
+                    return;
+                }
+                if (!isPositive(wave.spacing)) {
+                    problem(`${wavePath}.spacing`, 'must be a positive number of ms');
+                }
+                if (wave.speed !== undefined && !isPositive(wave.speed)) {
+                    problem(`${wavePath}.speed`, 'must be a positive number');
+                }
+                if (wave.delay !== undefined && (typeof wave.delay !== 'number' || wave.delay < 0)) {
+                    problem(`${wavePath}.delay`, 'must be a number of ms, 0 or more');
+                }
+                if (!Array.isArray(wave.spawns) || wave.spawns.length === 0) {
+                    problem(`${wavePath}.spawns`, 'must be a non-empty list');
+                    return;
+                }
+
+                wave.spawns.forEach((spawn, spawnIndex) => {
+                    const path = `${wavePath}.spawns[${spawnIndex}]`;
+                    const entry = typeof spawn === 'string' ? { obstacle: spawn } : spawn;
+                    if (!entry || typeof entry !== 'object') {
+                        problem(path, 'must be a gesture name or an object');
+                    } else if (entry.obstacle !== undefined) {
+                        if (entry.obstacle !== 'random' && ruleTable && !ruleTable.has(entry.obstacle)) {
+                            problem(path, `unknown obstacle ${JSON.stringify(entry.obstacle)} for ${rules} rules`);
+                        }
+                        if (entry.variant !== undefined && !LevelLoader.VARIANTS.includes(entry.variant)) {
+                            problem(`${path}.variant`, `must be one of ${LevelLoader.VARIANTS.join(', ')}`);
+                        }
+                        if (entry.morphTo !== undefined) {
+                            if (entry.variant !== 'morph') {
+                                problem(`${path}.morphTo`, 'only applies to "morph" obstacles');
+                            } else if (ruleTable && !ruleTable.has(entry.morphTo)) {
+                                problem(`${path}.morphTo`, `unknown gesture ${JSON.stringify(entry.morphTo)} for ${rules} rules`);
+                            } else if (entry.morphTo === entry.obstacle) {
+                                problem(`${path}.morphTo`, 'must be a different gesture from the obstacle');
+                            }
+                        }
+                        checkLane(path, entry.lane);
+                    } else if (entry.powerUp !== undefined) {
+                        if (!PowerUpManager.isPowerUp(entry.powerUp)) {
+                            problem(path, `unknown power-up ${JSON.stringify(entry.powerUp)} (expected one of ${PowerUpManager.KINDS.join(', ')})`);
+                        }
+                        checkLane(path, entry.lane);
+                    } else if (entry.pickup !== undefined) {
+                        if (!LevelLoader.PICKUPS.includes(entry.pickup)) {
+                            problem(path, `unknown pickup ${JSON.stringify(entry.pickup)}`);
+                        }
+                        checkLane(path, entry.lane);
+                    } else if (entry.wait !== undefined) {
+                        if (!isPositive(entry.wait)) {
+                            problem(`${path}.wait`, 'must be a positive number of ms');
+                        }
+                    } else {
+                        problem(path, 'needs one of "obstacle", "powerUp", "pickup" or "wait"');
+                    }
+                });
+            });
+        }
+
+        if (problems.length > 0) {
+            const name = typeof level.id === 'string' && level.id ? `"${level.id}" ` : '';
+            const error = new Error(`Invalid level ${name}(${source}):\n- ${problems.join('\n- ')}`);
+            error.problems = problems;
+            throw error;
+        }
+    }
+
+    // Fill in the defaults so the rest of the game reads one shape:
+    // every spawn becomes { kind, type, lane } or { kind: 'wait', wait }
+    static normalize(level) {
+        const laneCount = level.laneCount || 1;
+        const middleLane = Math.floor(laneCount / 2);
+
+        return {
+            format: level.format,
+            id: level.id,
+            name: level.name,
+            rules: level.rules || RuleTable.DEFAULT_VARIANT,
+            laneCount: laneCount,
+            waves: level.waves.map((wave, index) => ({
+                name: wave.name || `Wave ${index + 1}`,
+                delay: wave.delay || 0,
+                spacing: wave.spacing,
+                speed: wave.speed || 1,
+                checkpoint: !!wave.checkpoint,
+                spawns: wave.spawns.map(spawn => {
+                    const entry = typeof spawn === 'string' ? { obstacle: spawn } : spawn;
+                    const lane = entry.lane !== undefined ? entry.lane : middleLane;
+                    if (entry.obstacle !== undefined) {
+                        return { kind: 'obstacle', type: entry.obstacle, lane: lane, variant: entry.variant || null, morphTo: entry.morphTo || null };
+                    }
+                    if (entry.powerUp !== undefined) return { kind: 'powerUp', type: entry.powerUp, lane: lane };
+                    if (entry.pickup !== undefined) return { kind: 'pickup', type: entry.pickup, lane: lane };
+                    return { kind: 'wait', wait: entry.wait };
+                })
+            }))
+        };
+    }
+
+    static parse(jsonString, source = 'level') {
+        let level;
+        try {
+            level = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error(`Invalid level (${source}): ${error.message}`);
+        }
+        LevelLoader.validate(level, source);
+        return LevelLoader.normalize(level);
+    }
+
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load level ${url} (HTTP ${response.status})`);
+        }
+        return LevelLoader.parse(await response.text(), url);
+    }
+}
@@ -0,0 +1,79 @@
+// Plays a normalized level (see LevelLoader) on simulation time: hands each
+// spawn to the engine when it's due and tracks waves and checkpoints.
+export class LevelScript {
+    constructor(level, startWave = 0) {
+        this.level = level;
+        this.waveIndex = Math.min(Math.max(0, startWave), level.waves.length - 1);
+        this.checkpointWave = this.waveIndex;   // Where a retry would start
+        this.spawnIndex = 0;
+        this.nextSpawnTime = null;              // Set when the first wave starts
+        this.isDone = false;
+        this.onWaveStart = null;
+    }
+
+    getWave() {
+        return this.level.waves[this.waveIndex];
+    }
+
+    getSpeed() {
+        return this.getWave().speed;
+    }
+
+    getCheckpoint() {
+        return this.checkpointWave;
+    }
+
+    // All spawns have gone out; the level ends once the track is clear
+    isFinished() {
+        return this.isDone;
+    }
+
+    // `spawn(entry, time)` returns false when there's no room yet; the entry
+    // then waits for the next step instead of being dropped
+    update(time, spawn) {
+        if (this.isDone) return;
+
+        if (this.nextSpawnTime === null) {
+            this.startWave(time);
+        }
+
+        while (!this.isDone && time >= this.nextSpawnTime) {
+            const entry = this.getWave().spawns[this.spawnIndex];
+
+            if (entry.kind === 'wait') {
+                this.nextSpawnTime += entry.wait;
+            } else if (spawn(entry, time)) {
+                this.nextSpawnTime = time + this.getWave().spacing;
+            } else {
+                return;
+            }
+
+            this.spawnIndex++;
+            if (this.spawnIndex >= this.getWave().spawns.length) {
+                this.nextWave(this.nextSpawnTime);
+            }
+        }
+    }
+
+    startWave(time) {
+        const wave = this.getWave();
+        if (wave.checkpoint) {
+            this.checkpointWave = this.waveIndex;
+        }
+        this.spawnIndex = 0;
+        this.nextSpawnTime = time + wave.delay;
+
+        if (this.onWaveStart) {
+            this.onWaveStart(wave, this.waveIndex);
+        }
+    }
+
+    nextWave(time) {
+        if (this.waveIndex + 1 >= this.level.waves.length) {
+            this.isDone = true;
+            return;
+        }
+        this.waveIndex++;
+        this.startWave(time);
+    }
+}
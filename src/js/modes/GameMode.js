@@ -0,0 +1,128 @@
+import { SeededRandom } from '../game/SeededRandom.js';
+
+// The ways to play a run. Each mode is a set of rules the engine reads:
+//   health          - 'select' uses the lives picked on the start screen,
+//                     null is one mistake and out, or fixed health settings
+//   noFail          - mistakes never end the run (they still break the combo)
+//   timeLimit       - simulation ms until the run ends, or null
+//   timePenalty     - ms a mistake takes off the clock
+//   maxSpeed        - where the score-based speed tops out
+//   scoreMultiplier - on every hit
+//   adaptive        - whether difficulty adapts to the player
+//   levels          - whether a campaign level can be played in this mode
+//   records         - whether best scores are kept
+//   daily           - seeded from the date, on a fixed setup everyone shares
+//   hud             - what the mode adds to the HUD (see UIManager.updateMode)
+const MODES = {
+    endless: {
+        label: 'Endless',
+        description: 'Keeps speeding up until you run out of hearts',
+        health: 'select',
+        noFail: false,
+        timeLimit: null,
+        timePenalty: 0,
+        maxSpeed: 4.0,
+        scoreMultiplier: 1,
+        adaptive: true,
+        levels: true,
+        records: true,
+        daily: false,
+        hud: null
+    },
+    timeAttack: {
+        label: 'Time attack',
+        description: 'Score all you can in 60 seconds; mistakes cost 5 seconds',
+        health: null,
+        noFail: true,
+        timeLimit: 60000,
+        timePenalty: 5000,
+        maxSpeed: 4.0,
+        scoreMultiplier: 1,
+        adaptive: false,
+        levels: false,
+        records: true,
+        daily: false,
+        hud: 'timer'
+    },
+    zen: {
+        label: 'Zen',
+        description: 'Practice with nothing at stake; quit whenever you like',
+        health: null,
+        noFail: true,
+        timeLimit: null,
+        timePenalty: 0,
+        maxSpeed: 2.0,
+        scoreMultiplier: 1,
+        adaptive: true,
+        levels: false,
+        records: false,
+        daily: false,
+        hud: 'accuracy'
+    },
+    suddenDeath: {
+        label: 'Sudden death',
+        description: 'One mistake ends it, but every hit scores double',
+        health: null,
+        noFail: false,
+        timeLimit: null,
+        timePenalty: 0,
+        maxSpeed: 4.0,
+        scoreMultiplier: 2,
+        adaptive: false,
+        levels: false,
+        records: true,
+        daily: false,
+        hud: 'badge'
+    },
+    daily: {
+        label: 'Daily challenge',
+        description: 'Today\'s run is the same for everyone: classic rules, 3 lanes, 3 hearts',
+        health: { maxHealth: 6 },
+        noFail: false,
+        timeLimit: null,
+        timePenalty: 0,
+        maxSpeed: 4.0,
+        scoreMultiplier: 1,
+        adaptive: false,
+        levels: false,
+        records: true,
+        daily: true,
+        hud: 'daily',
+        // Fixed so the start screen's choices can't change the run
+        setup: { rules: 'classic', laneCount: 3 }
+    }
+};
+
+export class GameMode {
+    static MODES = MODES;
+    static IDS = Object.keys(MODES);
+    static DEFAULT_ID = 'endless';
+
+    constructor(id = GameMode.DEFAULT_ID) {
+        const definition = MODES[id];
+        if (!definition) {
+            throw new Error(`Unknown game mode "${id}" (expected one of ${GameMode.IDS.join(', ')})`);
+        }
+        this.id = id;
+        Object.assign(this, definition);
+    }
+
+    static isMode(id) {
+        return GameMode.IDS.includes(id);
+    }
+
+    // The UTC date, so the whole world shares one daily run: "2024-05-01"
+    static getDailyDate(now = new Date()) {
+        return now.toISOString().slice(0, 10);
+    }
+
+    static getDailySeed(date) {
+        return SeededRandom.seedFromString(date);
+    }
+
+    // One best score per mode, and one per day for the daily challenge
+    getRecordKey(date = GameMode.getDailyDate()) {
+        if (!this.records) return null;
+        return this.daily ? `daily-${date}` : this.id;
+    }
+}
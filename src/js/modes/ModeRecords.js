@@ -0,0 +1,42 @@
+// Best scores per mode (see GameMode.getRecordKey), kept in localStorage
+export class ModeRecords {
+    constructor(storageKey = 'sps-mode-records') {
+        this.storageKey = storageKey;
+        this.records = this.load();
+    }
+
+    getBest(key) {
+        return this.records[key] || 0;
+    }
+
+    // Returns true for a new best
+    submit(key, score) {
+        if (!key || score <= this.getBest(key)) return false;
+
+        this.records[key] = score;
+        this.save();
+        return true;
+    }
+
+    load() {
+        try {
+            if (typeof localStorage === 'undefined') return {};
+
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('ModeRecords: Failed to load records:', error);
+            return {};
+        }
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            console.warn('ModeRecords: Failed to save records:', error);
+        }
+    }
+}
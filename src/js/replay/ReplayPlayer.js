@@ -0,0 +1,123 @@
+// Plays a recorded replay back through the GameEngine. The engine re-runs the
+// simulation from the replay's seed and feeds it the recorded inputs, so the
+// run is reproduced exactly; pause, speed and seeking work on the sim clock.
+// The engine's own settings are put back when playback stops.
+export class ReplayPlayer {
+    static SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.replay = null;
+        this.speed = 1;
+        this.isPaused = false;
+        this.onGameOver = null;
+        this.onScoreUpdate = null;
+        this.liveSettings = null;
+    }
+
+    start(replay, onGameOver, onScoreUpdate = null) {
+        // Replacing one replay with another keeps the settings from before the first
+        if (!this.liveSettings) {
+            this.liveSettings = this.gameEngine.getSimulationSettings();
+        }
+        this.replay = replay;
+        this.onGameOver = onGameOver;
+        this.onScoreUpdate = onScoreUpdate;
+        this.isPaused = false;
+        this.restart();
+    }
+
+    // Begin the run again from tick 0 with the replay's seed and settings
+    restart() {
+        this.gameEngine.startGame(
+            (score, maxCombo) => this.handleGameOver(score, maxCombo),
+            this.onScoreUpdate,
+            null,
+            { seed: this.replay.seed, settings: this.replay.settings, replay: this.replay }
+        );
+        this.applyTimeScale();
+    }
+
+    handleGameOver(score, maxCombo) {
+        if (this.onGameOver) {
+            this.onGameOver(score, maxCombo, this.gameEngine.gameOverReason);
+        }
+    }
+
+    isActive() {
+        return this.replay !== null;
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.applyTimeScale();
+    }
+
+    resume() {
+        // Resuming after the end plays the replay again from the start
+        if (this.isFinished()) {
+            this.restart();
+        }
+        this.isPaused = false;
+        this.applyTimeScale();
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.applyTimeScale();
+    }
+
+    applyTimeScale() {
+        this.gameEngine.clock.timeScale = this.isPaused ? 0 : this.speed;
+    }
+
+    // Jump to a tick. The simulation can only run forwards, so seeking back
+    // re-runs the replay from the start up to the target.
+    seek(tick) {
+        if (!this.replay) return;
+
+        const target = Math.max(0, Math.min(Math.round(tick), this.replay.endTick));
+        if (target < this.gameEngine.clock.tick || !this.gameEngine.isRunning) {
+            this.restart();
+        }
+        this.gameEngine.fastForward(target);
+    }
+
+    isFinished() {
+        return this.replay !== null && !this.gameEngine.isRunning;
+    }
+
+    getCurrentTick() {
+        return this.gameEngine.clock.tick;
+    }
+
+    getProgress() {
+        if (!this.replay || this.replay.endTick === 0) return 0;
+        return Math.min(this.getCurrentTick() / this.replay.endTick, 1);
+    }
+
+    getTickDuration() {
+        return 1000 / this.replay.settings.stepsPerSecond;
+    }
+
+    stop() {
+        this.replay = null;
+        this.onGameOver = null;
+        this.onScoreUpdate = null;
+        this.gameEngine.stopGame();
+        this.gameEngine.clock.timeScale = 1;
+
+        if (this.liveSettings) {
+            this.gameEngine.applySimulationSettings(this.liveSettings);
+            this.liveSettings = null;
+        }
+    }
+}
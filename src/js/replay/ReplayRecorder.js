@@ -0,0 +1,52 @@
+// Records everything needed to reproduce a run: the seed, the simulation
+// settings and every input (gesture or lane change) with the simulation tick it was applied on.
+export class ReplayRecorder {
+    // Bumped whenever the settings or inputs change shape, or the simulation
+    // plays the same inputs out differently; older replays are rejected
+    static FORMAT_VERSION = 2;
+
+    constructor() {
+        this.replay = null;
+    }
+
+    start(seed, settings) {
+        this.replay = {
+            version: ReplayRecorder.FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: seed,
+            settings: settings,
+            inputs: [],
+            endTick: 0,
+            finalScore: 0,
+            maxCombo: 0,
+            gameOverReason: null
+        };
+    }
+
+    isRecording() {
+        return this.replay !== null;
+    }
+
+    // `input` is either { gesture } or { lane }
+    recordInput(tick, time, input) {
+        if (!this.replay) return;
+        this.replay.inputs.push({ tick: tick, time: Math.round(time), ...input });
+    }
+
+    finish(tick, finalScore, maxCombo, gameOverReason) {
+        if (!this.replay) return null;
+
+        const replay = this.replay;
+        replay.endTick = tick;
+        replay.finalScore = finalScore;
+        replay.maxCombo = maxCombo;
+        replay.gameOverReason = gameOverReason;
+
+        this.replay = null;
+        return replay;
+    }
+
+    cancel() {
+        this.replay = null;
+    }
+}
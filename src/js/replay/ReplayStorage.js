@@ -0,0 +1,129 @@
+import { ReplayRecorder } from './ReplayRecorder.js';
+
+// Keeps the most recent replays in localStorage and moves replays in and out
+// of the game as JSON files or shareable `#replay=` links.
+export class ReplayStorage {
+    static URL_PARAM = 'replay';
+
+    constructor(storageKey = 'sps-replays', maxReplays = 10) {
+        this.storageKey = storageKey;
+        this.maxReplays = maxReplays;
+    }
+
+    static validate(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Invalid replay: not a replay object');
+        }
+        if (replay.version !== ReplayRecorder.FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+        if (!Number.isInteger(replay.seed)) {
+            throw new Error('Invalid replay: missing "seed"');
+        }
+        if (!replay.settings || typeof replay.settings.stepsPerSecond !== 'number') {
+            throw new Error('Invalid replay: missing simulation "settings"');
+        }
+        const isValidInput = input => Number.isInteger(input.tick) &&
+            (typeof input.gesture === 'string' || Number.isInteger(input.lane));
+        if (!Array.isArray(replay.inputs) || !replay.inputs.every(isValidInput)) {
+            throw new Error('Invalid replay: "inputs" must be a list of { tick, gesture } or { tick, lane }');
+        }
+        if (!Number.isInteger(replay.endTick)) {
+            throw new Error('Invalid replay: missing "endTick"');
+        }
+    }
+
+    static parse(jsonString) {
+        let replay;
+        try {
+            replay = JSON.parse(jsonString);
+        } catch (error) {
+            throw new Error(`Invalid replay: ${error.message}`);
+        }
+        ReplayStorage.validate(replay);
+        return replay;
+    }
+
+    // Local history
+    save(replay) {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const replays = [replay, ...this.list()].slice(0, this.maxReplays);
+            localStorage.setItem(this.storageKey, JSON.stringify(replays));
+        } catch (error) {
+            console.warn('ReplayStorage: Failed to save replay:', error);
+        }
+    }
+
+    list() {
+        try {
+            if (typeof localStorage === 'undefined') return [];
+
+            const stored = localStorage.getItem(this.storageKey);
+            const replays = stored ? JSON.parse(stored) : [];
+            return Array.isArray(replays) ? replays.filter(replay => {
+                try {
+                    ReplayStorage.validate(replay);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            }) : [];
+        } catch (error) {
+            console.warn('ReplayStorage: Failed to load replays:', error);
+            return [];
+        }
+    }
+
+    clear() {
+        if (typeof localStorage === 'undefined') return;
+        localStorage.removeItem(this.storageKey);
+    }
+
+    // Sharing
+    static encode(replay) {
+        const base64 = btoa(JSON.stringify(replay));
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static decode(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        let json;
+        try {
+            json = atob(base64);
+        } catch (error) {
+            throw new Error('Invalid replay link');
+        }
+        return ReplayStorage.parse(json);
+    }
+
+    static createShareUrl(replay, location = window.location) {
+        return `${location.origin}${location.pathname}#${ReplayStorage.URL_PARAM}=${ReplayStorage.encode(replay)}`;
+    }
+
+    // Returns the replay encoded in a URL hash, or null if there is none
+    static fromHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const encoded = params.get(ReplayStorage.URL_PARAM);
+        return encoded ? ReplayStorage.decode(encoded) : null;
+    }
+
+    static async readFile(file) {
+        return ReplayStorage.parse(await file.text());
+    }
+
+    static download(replay, filename = `replay-${replay.seed}-${replay.finalScore}.json`) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,261 @@
+// Finger states for recognition poses: thumb, index, middle, ring, pinky.
+// `null` means the finger can be either way.
+const T = true;
+const F = false;
+const _ = null;
+
+// Built-in rule sets. Every gesture lists the gestures it beats (with the
+// verb used in round summaries) plus how it looks: display colour and
+// emoji, 3D model, and obstacle material. `poses` are tried in order by the
+// recognizer, so more specific poses go before looser ones.
+const VARIANTS = {
+    classic: {
+        name: 'Rock Paper Scissors',
+        gestures: {
+            rock: {
+                label: 'Rock',
+                emoji: '✊',
+                color: 0x8B4513,
+                model: '/assets/models/rock.glb',
+                material: { shininess: 30, specular: 0x111111 },
+                beats: { scissors: 'crushes' }
+            },
+            paper: {
+                label: 'Paper',
+                emoji: '✋',
+                color: 0xFFFFFF,
+                model: '/assets/models/paper.glb',
+                modelRotation: Math.PI,
+                material: { opacity: 0.85, shininess: 100, specular: 0x222222, doubleSided: true },
+                beats: { rock: 'covers' }
+            },
+            scissors: {
+                label: 'Scissors',
+                emoji: '✌️',
+                color: 0xC0C0C0,
+                model: '/assets/models/scissors.glb',
+                modelRotation: Math.PI,
+                material: { shininess: 100, specular: 0x444444 },
+                beats: { paper: 'cuts' }
+            }
+        },
+        poses: [
+            { gesture: 'rock', fingers: [F, F, F, F, F] },
+            // Any thumb position, so both ways of holding a flat hand count
+            { gesture: 'paper', fingers: [_, T, T, T, T] },
+            { gesture: 'scissors', fingers: [F, T, T, F, F] },
+            { gesture: 'scissors', fingers: [_, T, T, F, _] },
+            { gesture: 'scissors', fingers: [_, T, T, _, F] }
+        ],
+        scoring: { win: 10, tie: -10 }
+    },
+
+    rpsls: {
+        name: 'Rock Paper Scissors Lizard Spock',
+        gestures: {
+            rock: {
+                label: 'Rock',
+                emoji: '✊',
+                color: 0x8B4513,
+                model: '/assets/models/rock.glb',
+                material: { shininess: 30, specular: 0x111111 },
+                beats: { scissors: 'crushes', lizard: 'crushes' }
+            },
+            paper: {
+                label: 'Paper',
+                emoji: '✋',
+                color: 0xFFFFFF,
+                model: '/assets/models/paper.glb',
+                modelRotation: Math.PI,
+                material: { opacity: 0.85, shininess: 100, specular: 0x222222, doubleSided: true },
+                beats: { rock: 'covers', spock: 'disproves' }
+            },
+            scissors: {
+                label: 'Scissors',
+                emoji: '✌️',
+                color: 0xC0C0C0,
+                model: '/assets/models/scissors.glb',
+                modelRotation: Math.PI,
+                material: { shininess: 100, specular: 0x444444 },
+                beats: { paper: 'cuts', lizard: 'decapitates' }
+            },
+            lizard: {
+                label: 'Lizard',
+                emoji: '🦎',
+                color: 0x3CB371,
+                material: { shininess: 60, specular: 0x113311 },
+                beats: { spock: 'poisons', paper: 'eats' }
+            },
+            spock: {
+                label: 'Spock',
+                emoji: '🖖',
+                color: 0x4169E1,
+                material: { shininess: 80, specular: 0x222244 },
+                beats: { scissors: 'smashes', rock: 'vaporizes' }
+            }
+        },
+        poses: [
+            { gesture: 'rock', fingers: [F, F, F, F, F] },
+            // Vulcan salute: an open hand with a wide gap between middle and ring
+            { gesture: 'spock', fingers: [_, T, T, T, T], split: { between: [2, 3], ratio: 1.8 } },
+            { gesture: 'paper', fingers: [_, T, T, T, T] },
+            { gesture: 'scissors', fingers: [F, T, T, F, F] },
+            { gesture: 'scissors', fingers: [_, T, T, F, _] },
+            { gesture: 'scissors', fingers: [_, T, T, _, F] },
+            // Thumb and index out, an "L" for lizard
+            { gesture: 'lizard', fingers: [T, T, F, F, F] }
+        ],
+        scoring: { win: 10, tie: -10 }
+    }
+};
+
+// Who beats whom for one gesture set. Everything that depends on the rules
+// (obstacles, hints, colours, scoring, recognition, duels) reads from here.
+export class RuleTable {
+    static VARIANTS = VARIANTS;
+    static DEFAULT_VARIANT = 'classic';
+
+    constructor(definition, variant = null) {
+        RuleTable.validate(definition);
+        this.definition = definition;
+        this.variant = variant;        // Built-in variant id, null for custom tables
+        this.name = definition.name;
+        this.gestures = Object.keys(definition.gestures);
+        this.poses = definition.poses || [];
+        this.scoring = { win: 10, tie: -10, ...definition.scoring };
+    }
+
+    static fromVariant(variant = RuleTable.DEFAULT_VARIANT) {
+        const definition = VARIANTS[variant];
+        if (!definition) {
+            throw new Error(`Unknown rule variant: ${variant}`);
+        }
+        return new RuleTable(definition, variant);
+    }
+
+    // Accepts what toSetting() produced: a variant id or a custom definition
+    static fromSetting(setting) {
+        if (!setting) return RuleTable.fromVariant();
+        return typeof setting === 'string' ? RuleTable.fromVariant(setting) : new RuleTable(setting);
+    }
+
+    static validate(definition) {
+        if (!definition || typeof definition !== 'object' || !definition.gestures) {
+            throw new Error('Invalid rule table: missing "gestures"');
+        }
+
+        const gestures = Object.keys(definition.gestures);
+        if (gestures.length < 2) {
+            throw new Error('Invalid rule table: needs at least two gestures');
+        }
+        if (gestures.includes('none') || gestures.includes('unknown')) {
+            throw new Error('Invalid rule table: "none" and "unknown" are reserved');
+        }
+
+        gestures.forEach(gesture => {
+            const beats = Object.keys(definition.gestures[gesture].beats || {});
+            if (beats.length === 0) {
+                throw new Error(`Invalid rule table: "${gesture}" beats nothing`);
+            }
+            beats.forEach(beaten => {
+                if (!gestures.includes(beaten) || beaten === gesture) {
+                    throw new Error(`Invalid rule table: "${gesture}" beats unknown gesture "${beaten}"`);
+                }
+                if (definition.gestures[beaten].beats && definition.gestures[beaten].beats[gesture]) {
+                    throw new Error(`Invalid rule table: "${gesture}" and "${beaten}" beat each other`);
+                }
+            });
+        });
+
+        (definition.poses || []).forEach(pose => {
+            if (!gestures.includes(pose.gesture) || !Array.isArray(pose.fingers) || pose.fingers.length !== 5) {
+                throw new Error(`Invalid rule table: bad pose for "${pose.gesture}"`);
+            }
+        });
+    }
+
+    // What replays store: the variant id, or the whole table if it's custom
+    toSetting() {
+        return this.variant || this.definition;
+    }
+
+    equals(other) {
+        return !!other && JSON.stringify(this.toSetting()) === JSON.stringify(other.toSetting());
+    }
+
+    has(gesture) {
+        return this.gestures.includes(gesture);
+    }
+
+    getGestures() {
+        return [...this.gestures];
+    }
+
+    getGesture(gesture) {
+        return this.definition.gestures[gesture] || null;
+    }
+
+    beats(gesture, other) {
+        const entry = this.getGesture(gesture);
+        return !!(entry && entry.beats && entry.beats[other]);
+    }
+
+    // 'win', 'lose' or 'tie' from the first gesture's point of view
+    judge(gesture, other) {
+        if (gesture === other) return 'tie';
+        if (this.beats(gesture, other)) return 'win';
+        return 'lose';
+    }
+
+    // Every gesture that beats `gesture`, in table order
+    getCounters(gesture) {
+        return this.gestures.filter(candidate => this.beats(candidate, gesture));
+    }
+
+    // "rock crushes scissors"
+    describeWin(winner, loser) {
+        const entry = this.getGesture(winner);
+        const verb = entry && entry.beats[loser] ? entry.beats[loser] : 'beats';
+        return `${winner} ${verb} ${loser}`;
+    }
+
+    getLabel(gesture) {
+        const entry = this.getGesture(gesture);
+        return entry ? entry.label : gesture;
+    }
+
+    getEmoji(gesture) {
+        const entry = this.getGesture(gesture);
+        return entry ? entry.emoji : null;
+    }
+
+    getColor(gesture) {
+        const entry = this.getGesture(gesture);
+        return entry ? entry.color : null;
+    }
+
+    getModelPath(gesture) {
+        const entry = this.getGesture(gesture);
+        return entry && entry.model ? entry.model : null;
+    }
+
+    // Y rotation that turns the gesture's model to face the camera
+    getModelRotation(gesture) {
+        const entry = this.getGesture(gesture);
+        return entry && entry.modelRotation ? entry.modelRotation : 0;
+    }
+
+    getMaterial(gesture) {
+        const entry = this.getGesture(gesture);
+        return entry && entry.material ? entry.material : {};
+    }
+
+    // One line per gesture for the start screen, e.g. "Rock crushes Scissors and Lizard"
+    getSummary() {
+        return this.gestures.map(gesture => {
+            const beats = this.getGesture(gesture).beats;
+            const parts = Object.keys(beats).map(beaten => `${beats[beaten]} ${this.getLabel(beaten)}`);
+            return `${this.getLabel(gesture)} ${parts.join(', ')}`;
+        });
+    }
+}
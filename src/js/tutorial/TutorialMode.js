@@ -0,0 +1,246 @@
+import { GameMode } from '../modes/GameMode.js';
+import { TutorialScene } from './TutorialScene.js';
+import { TutorialScript } from './TutorialScript.js';
+
+// A guided first run. The gestures are taught one at a time: each is shown
+// as a 3D model and the player holds it until the recognizer agrees. Then a
+// slow practice run sends one obstacle of each type, again until each has
+// been beaten. Whenever the recognizer can't make out the hand, the tips say
+// which fingers to change.
+export class TutorialMode {
+    constructor(gameEngine, audioManager, uiManager, gestureRecognizer) {
+        this.gameEngine = gameEngine;
+        this.audioManager = audioManager;
+        this.uiManager = uiManager;
+        this.gestureRecognizer = gestureRecognizer;
+        this.tutorialScene = new TutorialScene(gameEngine.scene, gameEngine.loadedPlayerModels);
+
+        // Timing (ms)
+        this.holdTime = 800;        // How long the right gesture has to be held
+        this.stepDelay = 1200;      // On the "got it" message before the next step
+
+        this.ruleTable = null;
+        this.gestures = [];
+        this.phase = null;          // 'learn', 'practice' or 'done'
+        this.stepIndex = 0;
+        this.script = null;
+        this.isHolding = false;
+        this.timer = null;
+        this.isActive = false;
+        this.onFinished = null;
+    }
+
+    start(onFinished) {
+        this.stop();
+
+        // Same rules as the runner
+        this.ruleTable = this.gameEngine.ruleTable;
+        this.gestures = this.ruleTable.getGestures();
+        this.onFinished = onFinished;
+        this.isActive = true;
+
+        // The runner's hand would sit in front of the model
+        if (this.gameEngine.playerGestureObject) {
+            this.gameEngine.playerGestureObject.visible = false;
+        }
+        this.tutorialScene.setRuleTable(this.ruleTable);
+        this.tutorialScene.show();
+        this.learnGesture(0);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isActive = false;
+        this.isHolding = false;
+        this.tutorialScene.hide();
+        if (this.phase === 'practice') {
+            this.gameEngine.stopGame();
+        }
+        this.phase = null;
+        this.script = null;
+        if (this.gameEngine.playerGestureObject) {
+            this.gameEngine.playerGestureObject.visible = true;
+        }
+    }
+
+    schedule(callback, delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            if (this.isActive) callback();
+        }, delay);
+    }
+
+    // Every input source goes through here while the tutorial runs
+    setPlayerGesture(gesture, timestamp) {
+        if (this.phase === 'learn') {
+            this.checkGesture(gesture);
+        } else if (this.phase === 'practice') {
+            this.gameEngine.setPlayerGesture(gesture, timestamp);
+            if (gesture === 'unknown' && this.script.current) {
+                this.showPoseTips(this.gameEngine.getRequiredGesture(this.script.current, null));
+            }
+        }
+    }
+
+    learnGesture(index) {
+        this.phase = 'learn';
+        this.stepIndex = index;
+        this.isHolding = false;
+
+        const gesture = this.gestures[index];
+        const description = this.gestureRecognizer.getPoseDescription(gesture);
+        const wins = Object.keys(this.ruleTable.getGesture(gesture).beats)
+            .map(beaten => this.ruleTable.describeWin(gesture, beaten));
+
+        this.tutorialScene.setGesture(gesture);
+        this.uiManager.showTutorialStep({
+            progress: `Gesture ${index + 1} of ${this.gestures.length}`,
+            title: `Make ${this.ruleTable.getLabel(gesture)} ${this.ruleTable.getEmoji(gesture) || ''}`.trim(),
+            text: [description && `${description[0].toUpperCase()}${description.slice(1)}.`, `${wins.join(', ')}.`]
+                .filter(Boolean).join(' ')
+        });
+    }
+
+    // Recognized gestures only arrive when they change, so holding the right
+    // one means no new gesture before the hold timer fires
+    checkGesture(gesture) {
+        const target = this.gestures[this.stepIndex];
+
+        if (gesture === target) {
+            if (this.isHolding) return;
+            this.isHolding = true;
+            this.tutorialScene.setMatched(true);
+            this.uiManager.showTutorialTip('That\'s it - hold it...', 'good');
+            this.schedule(() => this.completeGesture(), this.holdTime);
+            return;
+        }
+
+        // Let go before the hold was up
+        if (this.isHolding) {
+            clearTimeout(this.timer);
+            this.isHolding = false;
+            this.tutorialScene.setMatched(false);
+        }
+
+        if (gesture === 'unknown') {
+            this.showPoseTips(target);
+        } else if (this.ruleTable.has(gesture)) {
+            this.uiManager.showTutorialTip(`That's ${this.ruleTable.getLabel(gesture)} - match the model to make ${this.ruleTable.getLabel(target)}`, 'bad');
+        } else {
+            this.uiManager.showTutorialTip('Hold your hand up so the camera can see it');
+        }
+    }
+
+    showPoseTips(gesture) {
+        const tips = this.gestureRecognizer.getPoseTips(gesture);
+        const label = this.ruleTable.getLabel(gesture);
+        this.uiManager.showTutorialTip(tips.length > 0
+            ? `Almost ${label}: ${tips.join(', ').toLowerCase()}`
+            : `Not quite ${label} - keep your hand flat on to the camera`);
+    }
+
+    completeGesture() {
+        const gesture = this.gestures[this.stepIndex];
+        this.isHolding = false;
+        this.audioManager.playSuccessSound();
+        this.uiManager.showTutorialTip(`Nice - that's ${this.ruleTable.getLabel(gesture)}!`, 'good');
+
+        this.schedule(() => {
+            if (this.stepIndex + 1 < this.gestures.length) {
+                this.learnGesture(this.stepIndex + 1);
+            } else {
+                this.startPractice();
+            }
+        }, this.stepDelay);
+    }
+
+    // A slow, forgiving run on one lane; mistakes only send the obstacle round again
+    startPractice() {
+        this.phase = 'practice';
+        this.tutorialScene.hide();
+        if (this.gameEngine.playerGestureObject) {
+            this.gameEngine.playerGestureObject.visible = true;
+        }
+
+        this.script = new TutorialScript(this.gestures);
+        this.script.onObstacle = type => this.showObstacle(type);
+        this.script.onOutcome = (type, success) => this.showOutcome(type, success);
+
+        this.gameEngine.setMode(new GameMode('zen'));
+        this.gameEngine.setLevel(null);
+        this.gameEngine.setLaneCount(1);
+        this.gameEngine.setHealthSettings(null);
+        this.gameEngine.setAdaptiveDifficulty(null);
+        this.runPractice();
+
+        this.uiManager.showTutorialStep({
+            progress: this.describeProgress(),
+            title: 'Practice run',
+            text: 'Obstacles come at you one at a time. Beat each one with the gesture that wins against it.'
+        });
+    }
+
+    runPractice() {
+        this.gameEngine.startGame(() => this.onPracticeOver(), null, undefined, { script: this.script });
+    }
+
+    // The run only counts as done once every type has been beaten. Anything
+    // else ending it picks up where it left off, with the beaten types kept.
+    onPracticeOver() {
+        if (this.script.isFinished()) {
+            this.finish();
+            return;
+        }
+
+        console.warn(`TutorialMode: Practice run ended early (${this.gameEngine.gameOverReason && this.gameEngine.gameOverReason.cause}), restarting it`);
+        this.script.resume();
+        this.uiManager.showTutorialStep({
+            progress: this.describeProgress(),
+            title: 'Let\'s go again',
+            text: 'The practice run picks up where it stopped.'
+        });
+        this.schedule(() => {
+            if (this.phase === 'practice') this.runPractice();
+        }, this.stepDelay);
+    }
+
+    describeProgress() {
+        const progress = this.script.getProgress();
+        return `Beaten ${progress.beaten} of ${progress.total}`;
+    }
+
+    showObstacle(type) {
+        const answer = this.gameEngine.getRequiredGesture(type, null);
+        this.uiManager.showTutorialStep({
+            progress: this.describeProgress(),
+            title: `${this.ruleTable.getLabel(type)} incoming!`,
+            text: `Beat it with ${this.ruleTable.getLabel(answer)} ${this.ruleTable.getEmoji(answer) || ''}`.trim()
+        });
+    }
+
+    showOutcome(type, success) {
+        const answer = this.gameEngine.getRequiredGesture(type, null);
+        const description = this.gestureRecognizer.getPoseDescription(answer);
+        this.uiManager.showTutorialStep({
+            progress: this.describeProgress(),
+            title: success ? 'Got it!' : 'Missed - here it comes again',
+            text: success
+                ? `${this.ruleTable.describeWin(answer, type)}.`
+                : `${this.ruleTable.getLabel(type)} needs ${this.ruleTable.getLabel(answer)}${description ? `: ${description}` : ''}.`
+        });
+        this.uiManager.showTutorialTip('');
+    }
+
+    finish() {
+        this.phase = 'done';
+        this.audioManager.playSuccessSound();
+        this.uiManager.showTutorialStep({
+            progress: '',
+            title: 'You\'re ready!',
+            text: 'You\'ve beaten every obstacle - time for a real run.',
+            done: true
+        });
+        if (this.onFinished) this.onFinished();
+    }
+}
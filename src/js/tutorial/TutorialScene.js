@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+
+// The gesture being taught, shown large in front of the camera and turning
+// slowly so every finger can be seen. A ring around it lights up green
+// while the player is making the gesture.
+export class TutorialScene {
+    static IDLE_COLOR = 0x4466aa;
+    static MATCH_COLOR = 0x44dd66;
+
+    constructor(scene, models) {
+        this.scene = scene;
+        this.models = models;          // gesture -> loaded GLB model (shared with GameEngine)
+        this.ruleTable = null;
+
+        this.group = new THREE.Group();
+        this.slot = new THREE.Group();
+        this.slot.position.set(0, 1.4, 2.5);
+        this.slot.scale.setScalar(1.4);
+        this.ring = new THREE.Mesh(
+            new THREE.TorusGeometry(1.3, 0.05, 8, 48),
+            new THREE.MeshBasicMaterial({ color: TutorialScene.IDLE_COLOR })
+        );
+        this.ring.position.copy(this.slot.position);
+        this.group.add(this.slot, this.ring);
+
+        this.matchedAt = null;         // When the ring last lit up, for its pulse
+        this.animationId = null;
+    }
+
+    setRuleTable(ruleTable) {
+        this.ruleTable = ruleTable;
+    }
+
+    show() {
+        this.scene.add(this.group);
+
+        const animate = () => {
+            this.animationId = requestAnimationFrame(animate);
+            this.update(performance.now());
+        };
+        animate();
+    }
+
+    hide() {
+        this.scene.remove(this.group);
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    setGesture(gesture) {
+        while (this.slot.children.length > 0) {
+            this.slot.remove(this.slot.children[0]);
+        }
+        this.setMatched(false);
+
+        const model = this.models[gesture];
+        if (!model) return;
+
+        const modelClone = model.clone();
+        // Same orientation fix as the runner's player hand
+        modelClone.rotation.y = this.ruleTable ? this.ruleTable.getModelRotation(gesture) : 0;
+        this.slot.add(modelClone);
+    }
+
+    setMatched(matched) {
+        this.matchedAt = matched ? performance.now() : null;
+        this.ring.material.color.setHex(matched ? TutorialScene.MATCH_COLOR : TutorialScene.IDLE_COLOR);
+    }
+
+    update(now) {
+        // Swing side to side rather than spin, so the palm never faces away for long
+        this.slot.rotation.y = Math.sin(now * 0.0008) * 0.7;
+        this.slot.position.y = 1.4 + Math.sin(now * 0.002) * 0.05;
+
+        const pulse = this.matchedAt !== null ? 1 + Math.sin((now - this.matchedAt) * 0.012) * 0.06 : 1;
+        this.ring.scale.setScalar(pulse);
+    }
+}
@@ -0,0 +1,73 @@
+// The tutorial's practice run, played by the engine like a level (see
+// LevelScript): one slow obstacle at a time, one of each gesture. An
+// obstacle the player doesn't beat goes back in the queue, and the run is
+// finished once every type has been beaten.
+export class TutorialScript {
+    constructor(gestures, options = {}) {
+        this.gestures = gestures;
+        this.queue = gestures.slice();
+        this.beaten = new Set();
+        this.speed = options.speed || 0.5;
+        this.spacing = options.spacing || 2000;     // ms after one obstacle is dealt with
+        this.firstDelay = options.firstDelay || 1500;
+        this.nextSpawnTime = null;
+        this.current = null;                        // The obstacle in play, if any
+        this.onObstacle = null;                     // (type) when an obstacle is sent
+        this.onOutcome = null;                      // (type, success) when it's dealt with
+    }
+
+    getSpeed() {
+        return this.speed;
+    }
+
+    getCheckpoint() {
+        return 0;
+    }
+
+    isFinished() {
+        return this.beaten.size === this.gestures.length;
+    }
+
+    getProgress() {
+        return { beaten: this.beaten.size, total: this.gestures.length };
+    }
+
+    // Same contract as LevelScript.update
+    update(time, spawn) {
+        if (this.isFinished() || this.current) return;
+
+        if (this.nextSpawnTime === null) {
+            this.nextSpawnTime = time + this.firstDelay;
+        }
+        if (time < this.nextSpawnTime) return;
+
+        const type = this.queue[0];
+        if (!spawn({ kind: 'obstacle', type: type, lane: 0, variant: null, morphTo: null }, time)) return;
+
+        this.queue.shift();
+        this.current = type;
+        if (this.onObstacle) this.onObstacle(type);
+    }
+
+    // For a restarted run: the obstacle that was in play comes first again
+    resume() {
+        if (this.current) {
+            this.queue.unshift(this.current);
+            this.current = null;
+        }
+        this.nextSpawnTime = null;
+    }
+
+    // Called by the engine as each obstacle is won or lost
+    recordOutcome(success, obstacle, time) {
+        if (success) {
+            this.beaten.add(obstacle.type);
+        } else if (!this.beaten.has(obstacle.type)) {
+            this.queue.push(obstacle.type);
+        }
+        this.current = null;
+        this.nextSpawnTime = time + this.spacing;
+
+        if (this.onOutcome) this.onOutcome(obstacle.type, success);
+    }
+}
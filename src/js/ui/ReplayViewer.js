@@ -0,0 +1,138 @@
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+
+// Playback controls shown on top of the game while a replay is running:
+// play/pause, a scrub bar, playback speed and why the run ended.
+export class ReplayViewer {
+    constructor(replayPlayer, onClose) {
+        this.replayPlayer = replayPlayer;
+        this.onClose = onClose;
+        this.animationId = null;
+        this.isScrubbing = false;
+
+        this.elements = {
+            viewer: document.getElementById('replayViewer'),
+            playButton: document.getElementById('replayPlayButton'),
+            scrubBar: document.getElementById('replayScrubBar'),
+            speedSelect: document.getElementById('replaySpeedSelect'),
+            time: document.getElementById('replayTime'),
+            info: document.getElementById('replayInfo'),
+            closeButton: document.getElementById('replayCloseButton')
+        };
+
+        this.populateSpeeds();
+        this.setupEventListeners();
+    }
+
+    populateSpeeds() {
+        const select = this.elements.speedSelect;
+        select.innerHTML = '';
+        ReplayPlayer.SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            select.appendChild(option);
+        });
+        select.value = '1';
+    }
+
+    setupEventListeners() {
+        this.elements.playButton.addEventListener('click', () => {
+            this.replayPlayer.togglePause();
+            this.refresh();
+        });
+
+        // Seek continuously while dragging; the sim is paused under the thumb
+        this.elements.scrubBar.addEventListener('input', (event) => {
+            this.isScrubbing = true;
+            this.replayPlayer.seek(Number(event.target.value));
+            this.refresh();
+        });
+        this.elements.scrubBar.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+
+        this.elements.speedSelect.addEventListener('change', (event) => {
+            this.replayPlayer.setSpeed(Number(event.target.value));
+        });
+
+        this.elements.closeButton.addEventListener('click', () => {
+            if (this.onClose) this.onClose();
+        });
+    }
+
+    show(replay) {
+        this.elements.scrubBar.max = replay.endTick;
+        this.elements.scrubBar.value = 0;
+        this.elements.speedSelect.value = String(this.replayPlayer.speed);
+        this.elements.info.textContent = `Seed ${replay.seed} · Score ${replay.finalScore} · ${ReplayViewer.describeReason(replay.gameOverReason)}`;
+        this.elements.viewer.classList.add('show');
+
+        // Keep the controls in step with playback
+        const update = () => {
+            this.animationId = requestAnimationFrame(update);
+            this.refresh();
+        };
+        update();
+    }
+
+    hide() {
+        this.elements.viewer.classList.remove('show');
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    refresh() {
+        if (!this.replayPlayer.isActive()) return;
+
+        const tick = this.replayPlayer.getCurrentTick();
+        const tickDuration = this.replayPlayer.getTickDuration();
+        const endTick = this.replayPlayer.replay.endTick;
+
+        if (!this.isScrubbing) {
+            this.elements.scrubBar.value = tick;
+        }
+        this.elements.time.textContent = `${ReplayViewer.formatTime(tick * tickDuration)} / ${ReplayViewer.formatTime(endTick * tickDuration)}`;
+
+        const playing = !this.replayPlayer.isPaused && !this.replayPlayer.isFinished();
+        this.elements.playButton.textContent = playing ? '⏸' : '▶';
+    }
+
+    static formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    // Human readable explanation of a GameEngine game over reason
+    static describeReason(reason) {
+        if (!reason) return 'Ended';
+
+        let at = `at ${ReplayViewer.formatTime(reason.time)} (tick ${reason.tick})`;
+        if (reason.hardPattern) {
+            at += ', on a deliberately hard pattern';
+        }
+        // e.g. "mirror scissors"
+        const obstacle = reason.variant ? `${reason.variant} ${reason.obstacleType}` : reason.obstacleType;
+        switch (reason.cause) {
+            case 'noGesture':
+                return `No gesture against ${obstacle} ${at}`;
+            case 'wrongGesture':
+                return `${reason.playerGesture} lost to ${obstacle} ${at}`;
+            case 'tie':
+                return `Out of hearts after a ${obstacle} tie ${at}`;
+            case 'negativeScore':
+                return `Score dropped below zero on a ${obstacle} tie ${at}`;
+            case 'timeUp':
+                return `Time's up ${at}`;
+            case 'levelComplete':
+                return `Completed level ${reason.level} ${at}`;
+            case 'missed':
+                return `${obstacle} slipped past (z ${reason.obstacleZ.toFixed(2)}) ${at}`;
+            default:
+                return `Ended ${at}`;
+        }
+    }
+}
@@ -1,3 +1,5 @@
+import { GameState } from '../game/GameStateMachine.js';
+
 export class UIManager {
     constructor() {
         // UI Elements
@@ -5,14 +7,71 @@ export class UIManager {
             loadingScreen: document.getElementById('loadingScreen'),
             startScreen: document.getElementById('startScreen'),
             gameOverScreen: document.getElementById('gameOverScreen'),
+            pauseScreen: document.getElementById('pauseScreen'),
+            pauseReason: document.getElementById('pauseReason'),
+            pauseButton: document.getElementById('pauseButton'),
+            countdownDisplay: document.getElementById('countdownDisplay'),
+            duelHud: document.getElementById('duelHud'),
+            duelScore: document.getElementById('duelScore'),
+            duelBeat: document.getElementById('duelBeat'),
+            duelResult: document.getElementById('duelResult'),
+            duelOverScreen: document.getElementById('duelOverScreen'),
+            duelOverTitle: document.getElementById('duelOverTitle'),
+            duelOverSummary: document.getElementById('duelOverSummary'),
+            tutorialPanel: document.getElementById('tutorialPanel'),
+            tutorialProgress: document.getElementById('tutorialProgress'),
+            tutorialTitle: document.getElementById('tutorialTitle'),
+            tutorialText: document.getElementById('tutorialText'),
+            tutorialTip: document.getElementById('tutorialTip'),
+            tutorialPlayButton: document.getElementById('tutorialPlayButton'),
+            errorScreen: document.getElementById('errorScreen'),
+            errorTitle: document.getElementById('errorTitle'),
+            errorMessage: document.getElementById('errorMessage'),
+            retryButton: document.getElementById('retryButton'),
+            noCameraButton: document.getElementById('noCameraButton'),
+            inputSelect: document.getElementById('inputSelect'),
             scoreValue: document.getElementById('scoreValue'),
+            gameContainer: document.getElementById('gameContainer'),
+            touchControls: document.getElementById('touchControls'),
+            rulesSummary: document.getElementById('rulesSummary'),
+            playerTwoScore: document.getElementById('playerTwoScore'),
+            playerTwoScoreValue: document.getElementById('playerTwoScoreValue'),
+            healthDisplay: document.getElementById('healthDisplay'),
+            playerTwoHealth: document.getElementById('playerTwoHealth'),
+            powerUpDisplay: document.getElementById('powerUpDisplay'),
+            difficultyDebug: document.getElementById('difficultyDebug'),
+            modeDisplay: document.getElementById('modeDisplay'),
+            levelSelect: document.getElementById('levelSelect'),
             speedValue: document.getElementById('speedValue'),
             currentGesture: document.getElementById('currentGesture'),
             finalScore: document.getElementById('finalScore'),
+            gameOverReason: document.getElementById('gameOverReason'),
             startButton: document.getElementById('startButton'),
-            videoElement: document.getElementById('videoElement')
+            videoElement: document.getElementById('videoElement'),
+            trainingPanel: document.getElementById('trainingPanel'),
+            trainingLabel: document.getElementById('trainingLabel'),
+            trainingRecordButton: document.getElementById('trainingRecordButton'),
+            trainingStatus: document.getElementById('trainingStatus'),
+            trainingSampleList: document.getElementById('trainingSampleList'),
+            calibrationPanel: document.getElementById('calibrationPanel'),
+            calibrationTitle: document.getElementById('calibrationTitle'),
+            calibrationText: document.getElementById('calibrationText'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
+            calibrationProgress: document.getElementById('calibrationProgress'),
+            calibrationProgressBar: document.getElementById('calibrationProgressBar'),
+            calibrationName: document.getElementById('calibrationName'),
+            calibrationStartButton: document.getElementById('calibrationStartButton'),
+            calibrationSaveButton: document.getElementById('calibrationSaveButton'),
+            calibrationRetryButton: document.getElementById('calibrationRetryButton'),
+            calibrationProfileList: document.getElementById('calibrationProfileList')
         };
         
+        // Set by the game to react to the tab being hidden or shown
+        this.onPageHiddenCallback = null;
+        this.onPageVisibleCallback = null;
+        
+        this.countdownTimer = null;
+        
         // Animation states
         this.animationStates = {
             scoreAnimation: null,
@@ -61,6 +120,13 @@ export class UIManager {
             this.handleFullscreenChange();
         });
         
+        // Error screen retries by reloading the page
+        if (this.elements.retryButton) {
+            this.elements.retryButton.addEventListener('click', () => {
+                window.location.reload();
+            });
+        }
+        
         // Touch events for mobile
         if ('ontouchstart' in window) {
             this.setupTouchEvents();
@@ -141,6 +207,47 @@ export class UIManager {
         document.head.appendChild(style);
     }
 
+    // Show and hide screens as the game moves between states
+    bindStateMachine(stateMachine) {
+        stateMachine.onExit(GameState.LOADING, () => this.hideLoading());
+        
+        stateMachine.onEnter(GameState.MENU, () => this.showStartScreen());
+        stateMachine.onExit(GameState.MENU, () => this.hideStartScreen());
+        
+        // Calibrating is either the gesture trainer or the threshold wizard
+        stateMachine.onEnter(GameState.CALIBRATING, (data) => {
+            if (data.wizard) {
+                this.showCalibrationPanel();
+            } else {
+                this.showTrainingPanel();
+            }
+        });
+        stateMachine.onExit(GameState.CALIBRATING, () => {
+            this.hideTrainingPanel();
+            this.hideCalibrationPanel();
+        });
+        
+        stateMachine.onExit(GameState.COUNTDOWN, () => this.stopCountdown());
+        
+        stateMachine.onEnter(GameState.PLAYING, () => this.setPauseButtonVisible(true));
+        stateMachine.onExit(GameState.PLAYING, () => this.setPauseButtonVisible(false));
+        
+        stateMachine.onEnter(GameState.PAUSED, (data) => this.showPauseScreen(data.reason));
+        stateMachine.onExit(GameState.PAUSED, () => this.hidePauseScreen());
+        
+        stateMachine.onEnter(GameState.GAME_OVER, (data) => this.showGameOver(data.finalScore, data.reason));
+        stateMachine.onExit(GameState.GAME_OVER, () => this.hideGameOver());
+        
+        stateMachine.onEnter(GameState.DUEL, () => this.showDuelHud());
+        stateMachine.onExit(GameState.DUEL, () => {
+            this.hideDuelHud();
+            this.hideDuelOver();
+        });
+        
+        stateMachine.onEnter(GameState.TUTORIAL, () => this.showTutorialPanel());
+        stateMachine.onExit(GameState.TUTORIAL, () => this.hideTutorialPanel());
+    }
+
     // Screen Management
     hideLoading() {
         if (this.elements.loadingScreen) {
@@ -155,6 +262,74 @@ export class UIManager {
         }
     }
 
+    showErrorScreen(title, message, allowNoCamera = false) {
+        if (this.elements.errorScreen) {
+            this.elements.errorTitle.textContent = title;
+            this.elements.errorMessage.textContent = message;
+            this.elements.noCameraButton.style.display = allowNoCamera ? '' : 'none';
+            this.elements.errorScreen.classList.add('show');
+            this.hideStartScreen();
+        }
+    }
+
+    hideErrorScreen() {
+        if (this.elements.errorScreen) {
+            this.elements.errorScreen.classList.remove('show');
+        }
+    }
+
+    // Input Selection
+    populateInputOptions(providers, activeName) {
+        const select = this.elements.inputSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.name;
+            option.textContent = provider.label;
+            select.appendChild(option);
+        });
+        this.setInputSelection(activeName);
+    }
+
+    // Endless first, then the campaign in order; locked levels can't be picked
+    populateLevelOptions(campaign, selectedIndex = -1) {
+        const select = this.elements.levelSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const endless = document.createElement('option');
+        endless.value = '';
+        endless.textContent = 'Endless';
+        select.appendChild(endless);
+        
+        campaign.getLevels().forEach((level, index) => {
+            const option = document.createElement('option');
+            const unlocked = campaign.isUnlocked(index);
+            const best = campaign.getBestScore(level.id);
+            option.value = String(index);
+            option.disabled = !unlocked;
+            option.textContent = unlocked
+                ? `${index + 1}. ${level.name}${campaign.isCompleted(level.id) ? ` ✓ (best ${Math.round(best)})` : ''}`
+                : `🔒 ${index + 1}. ${level.name}`;
+            select.appendChild(option);
+        });
+        
+        select.value = selectedIndex >= 0 && campaign.isUnlocked(selectedIndex) ? String(selectedIndex) : '';
+    }
+
+    setInputSelection(name) {
+        if (this.elements.inputSelect && name) {
+            this.elements.inputSelect.value = name;
+        }
+        
+        // The camera preview only makes sense while the camera drives the game
+        if (this.elements.videoElement) {
+            this.elements.videoElement.style.visibility = name === 'camera' ? 'visible' : 'hidden';
+        }
+    }
+
     hideStartScreen() {
         if (this.elements.startScreen) {
             this.elements.startScreen.classList.add('hide');
@@ -167,9 +342,12 @@ export class UIManager {
         }
     }
 
-    showGameOver(finalScore) {
+    showGameOver(finalScore, reason = '') {
         if (this.elements.gameOverScreen && this.elements.finalScore) {
             this.elements.finalScore.textContent = finalScore;
+            if (this.elements.gameOverReason) {
+                this.elements.gameOverReason.textContent = reason;
+            }
             this.elements.gameOverScreen.classList.add('show');
             
             // Add slide-in animation
@@ -187,6 +365,384 @@ export class UIManager {
         }
     }
 
+    // Count down from `seconds`, then call onComplete
+    startCountdown(seconds, onComplete) {
+        this.stopCountdown();
+        
+        const display = this.elements.countdownDisplay;
+        let remaining = seconds;
+        const tick = () => {
+            if (remaining === 0) {
+                this.stopCountdown();
+                onComplete();
+                return;
+            }
+            if (display) {
+                display.textContent = remaining;
+                display.classList.add('show');
+            }
+            remaining--;
+            this.countdownTimer = setTimeout(tick, 1000);
+        };
+        tick();
+    }
+
+    stopCountdown() {
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        if (this.elements.countdownDisplay) {
+            this.elements.countdownDisplay.classList.remove('show');
+        }
+    }
+
+    // Pause overlay
+    showPauseScreen(reason = '') {
+        if (this.elements.pauseScreen) {
+            this.elements.pauseReason.textContent = reason;
+            this.elements.pauseScreen.classList.add('show');
+        }
+    }
+
+    hidePauseScreen() {
+        if (this.elements.pauseScreen) {
+            this.elements.pauseScreen.classList.remove('show');
+        }
+    }
+
+    setPauseButtonVisible(visible) {
+        if (this.elements.pauseButton) {
+            this.elements.pauseButton.classList.toggle('show', visible);
+        }
+    }
+
+    // Duel mode
+    showDuelHud() {
+        if (this.elements.duelHud) {
+            this.elements.duelHud.classList.add('show');
+        }
+    }
+
+    hideDuelHud() {
+        if (this.elements.duelHud) {
+            this.elements.duelHud.classList.remove('show');
+        }
+    }
+
+    // `names` are the left and right players, e.g. ['You', 'AI']
+    updateDuelScore(match, names = ['You', 'AI']) {
+        if (this.elements.duelScore) {
+            this.elements.duelScore.textContent = `${names[0]} ${match.playerWins} - ${match.aiWins} ${names[1]}  (best of ${match.bestOf})`;
+        }
+    }
+
+    showDuelBeat(text) {
+        if (this.elements.duelBeat) {
+            this.elements.duelBeat.textContent = text;
+        }
+    }
+
+    showDuelResult(text) {
+        if (this.elements.duelResult) {
+            this.elements.duelResult.textContent = text;
+        }
+    }
+
+    showDuelOver(match, names = ['You', 'AI']) {
+        if (!this.elements.duelOverScreen) return;
+        
+        const winner = match.getWinner() === 'player' ? names[0] : names[1];
+        this.elements.duelOverTitle.textContent = winner === 'You' ? 'You win the match!' : `${winner} wins the match!`;
+        this.elements.duelOverSummary.textContent = `${match.playerWins} - ${match.aiWins} over ${match.rounds.length} rounds`;
+        this.elements.duelOverScreen.classList.add('show');
+    }
+
+    hideDuelOver() {
+        if (this.elements.duelOverScreen) {
+            this.elements.duelOverScreen.classList.remove('show');
+        }
+    }
+
+    // Tutorial
+    showTutorialPanel() {
+        if (this.elements.tutorialPanel) {
+            this.elements.tutorialPanel.classList.add('show');
+        }
+    }
+
+    hideTutorialPanel() {
+        if (this.elements.tutorialPanel) {
+            this.elements.tutorialPanel.classList.remove('show');
+        }
+    }
+
+    // `step` is { progress, title, text, done }; a new step clears the tip
+    showTutorialStep(step) {
+        if (!this.elements.tutorialPanel) return;
+
+        this.elements.tutorialProgress.textContent = step.progress || '';
+        this.elements.tutorialTitle.textContent = step.title;
+        this.elements.tutorialText.textContent = step.text || '';
+        this.elements.tutorialPlayButton.style.display = step.done ? 'inline-block' : 'none';
+        this.showTutorialTip('');
+    }
+
+    // `tone` is 'hint', 'good' or 'bad'
+    showTutorialTip(text, tone = 'hint') {
+        if (this.elements.tutorialTip) {
+            this.elements.tutorialTip.textContent = text;
+            this.elements.tutorialTip.className = `tutorial-tip ${tone}`;
+        }
+    }
+
+    // Gesture colours, emojis, touch buttons and the start screen's rules follow the rule table
+    setRuleTable(ruleTable) {
+        ruleTable.getGestures().forEach(gesture => {
+            this.gestureColors[gesture] = `#${ruleTable.getColor(gesture).toString(16).padStart(6, '0')}`;
+            this.gestureEmojis[gesture] = ruleTable.getEmoji(gesture) || '🖐️';
+        });
+        
+        const touchControls = this.elements.touchControls;
+        if (touchControls) {
+            touchControls.querySelectorAll('[data-gesture]').forEach(button => button.remove());
+            const rightLaneButton = touchControls.querySelector('[data-steer="1"]');
+            ruleTable.getGestures().forEach(gesture => {
+                const button = document.createElement('button');
+                button.dataset.gesture = gesture;
+                button.textContent = this.gestureEmojis[gesture];
+                button.title = ruleTable.getLabel(gesture);
+                touchControls.insertBefore(button, rightLaneButton);
+            });
+        }
+        
+        if (this.elements.rulesSummary) {
+            this.elements.rulesSummary.textContent = `• ${ruleTable.getSummary().join(' · ')}`;
+        }
+    }
+
+    // Two-player race: each player's track takes half the screen
+    setSplitScreen(enabled) {
+        if (this.elements.gameContainer) {
+            this.elements.gameContainer.classList.toggle('split-screen', enabled);
+        }
+        if (this.elements.playerTwoScore) {
+            this.elements.playerTwoScore.classList.toggle('show', enabled);
+        }
+    }
+
+    updatePlayerTwoScore(score) {
+        if (this.elements.playerTwoScoreValue) {
+            this.elements.playerTwoScoreValue.textContent = score;
+        }
+    }
+
+    // Gesture Training
+    showTrainingPanel() {
+        if (this.elements.trainingPanel) {
+            this.elements.trainingPanel.classList.add('show');
+            this.elements.trainingLabel.focus();
+        }
+    }
+
+    hideTrainingPanel() {
+        if (this.elements.trainingPanel) {
+            this.elements.trainingPanel.classList.remove('show');
+        }
+    }
+
+    getTrainingLabel() {
+        return this.elements.trainingLabel ? this.elements.trainingLabel.value : '';
+    }
+
+    updateTrainingPanel(sampleCounts, recordingLabel, onDelete) {
+        if (!this.elements.trainingPanel) return;
+        
+        // Record button doubles as stop while a recording is in progress
+        this.elements.trainingRecordButton.textContent = recordingLabel ? 'Stop' : 'Record';
+        this.elements.trainingStatus.textContent = recordingLabel
+            ? `Recording "${recordingLabel}"... ${sampleCounts[recordingLabel] || 0} samples`
+            : '';
+        
+        // Rebuild the list of trained gestures
+        const list = this.elements.trainingSampleList;
+        list.innerHTML = '';
+        Object.keys(sampleCounts).sort().forEach(label => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = `${this.gestureEmojis[label] || '🖐️'} ${label} (${sampleCounts[label]})`;
+            item.appendChild(name);
+            
+            if (label !== recordingLabel) {
+                const deleteButton = document.createElement('button');
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => onDelete(label));
+                item.appendChild(deleteButton);
+            }
+            
+            list.appendChild(item);
+        });
+    }
+
+    // Calibration wizard
+    showCalibrationPanel() {
+        if (this.elements.calibrationPanel) {
+            this.elements.calibrationPanel.classList.add('show');
+        }
+    }
+
+    hideCalibrationPanel() {
+        if (this.elements.calibrationPanel) {
+            this.elements.calibrationPanel.classList.remove('show');
+        }
+    }
+
+    getCalibrationName() {
+        return this.elements.calibrationName ? this.elements.calibrationName.value : '';
+    }
+
+    // `step` is { phase, title, text, status, progress, name }; anything left
+    // out stays as it was. `phase` ('setup', 'recording' or 'result') picks the controls.
+    showCalibrationStep(step) {
+        if (!this.elements.calibrationPanel) return;
+
+        const show = (element, visible) => {
+            element.style.display = visible ? '' : 'none';
+        };
+        show(this.elements.calibrationName, step.phase === 'setup');
+        show(this.elements.calibrationStartButton, step.phase === 'setup');
+        show(this.elements.calibrationProfileList, step.phase === 'setup');
+        show(this.elements.calibrationProgress, step.phase === 'recording');
+        show(this.elements.calibrationSaveButton, step.phase === 'result');
+        show(this.elements.calibrationRetryButton, step.phase === 'result');
+
+        if (step.title !== undefined) this.elements.calibrationTitle.textContent = step.title;
+        if (step.text !== undefined) this.elements.calibrationText.textContent = step.text;
+        this.elements.calibrationStatus.textContent = step.status || '';
+        if (step.progress !== undefined) {
+            this.elements.calibrationProgressBar.style.width = `${Math.round(Math.min(1, step.progress) * 100)}%`;
+        }
+        if (step.name !== undefined) this.elements.calibrationName.value = step.name;
+    }
+
+    // Saved profiles plus the default thresholds; the active one is marked
+    updateCalibrationProfiles(names, activeName, onUse, onDelete) {
+        const list = this.elements.calibrationProfileList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        [null, ...names].forEach(name => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${name === activeName ? '✅ ' : ''}${name === null ? 'Default thresholds' : name}`;
+            item.appendChild(label);
+
+            const buttons = document.createElement('span');
+            if (name !== activeName) {
+                const useButton = document.createElement('button');
+                useButton.textContent = 'Use';
+                useButton.className = 'use';
+                useButton.addEventListener('click', () => onUse(name));
+                buttons.appendChild(useButton);
+            }
+            if (name !== null) {
+                const deleteButton = document.createElement('button');
+                deleteButton.textContent = 'Delete';
+                deleteButton.addEventListener('click', () => onDelete(name));
+                buttons.appendChild(deleteButton);
+            }
+            item.appendChild(buttons);
+
+            list.appendChild(item);
+        });
+    }
+
+    // Hearts hold two health each: full, half or empty. Hidden in hardcore (no max health)
+    updateHealth(health, maxHealth, player = 0) {
+        const element = player === 1 ? this.elements.playerTwoHealth : this.elements.healthDisplay;
+        if (!element) return;
+        
+        const hearts = [];
+        for (let i = 0; i < maxHealth; i += 2) {
+            const left = health - i;
+            hearts.push(left >= 2 ? '❤️' : left === 1 ? '💔' : '🤍');
+        }
+        element.textContent = hearts.join('');
+        element.classList.toggle('show', maxHealth > 0);
+    }
+
+    // One line per running power-up, e.g. "🛡️ Shield x2 7.5s". Called every
+    // frame, so the DOM is only touched when the text changes.
+    updatePowerUps(status) {
+        const element = this.elements.powerUpDisplay;
+        if (!element) return;
+        
+        const html = status.map(powerUp => {
+            const charges = powerUp.charges > 1 ? ` x${powerUp.charges}` : '';
+            const seconds = (powerUp.remaining / 1000).toFixed(1);
+            return `<div class="power-up">${powerUp.icon} ${powerUp.label}${charges} ${seconds}s</div>`;
+        }).join('');
+        
+        if (element.innerHTML !== html) {
+            element.innerHTML = html;
+        }
+    }
+
+    // The mode's own HUD line (see GameMode `hud`)
+    updateMode(status, dailyDate = null) {
+        const element = this.elements.modeDisplay;
+        if (!element) return;
+        
+        const mode = status.mode;
+        let text = '';
+        switch (mode.hud) {
+            case 'timer':
+                text = `⏱️ ${(status.timeLeft / 1000).toFixed(1)}s`;
+                break;
+            case 'accuracy': {
+                const total = status.hits + status.mistakes;
+                text = `🧘 ${status.hits}/${total} hit${total > 0 ? ` (${Math.round(status.hits / total * 100)}%)` : ''}`;
+                break;
+            }
+            case 'badge':
+                text = `☠️ ${mode.label} x${mode.scoreMultiplier}`;
+                break;
+            case 'daily':
+                text = `📅 ${mode.label}${dailyDate ? ` ${dailyDate}` : ''}`;
+                break;
+        }
+        
+        if (element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
+
+    toggleDifficultyDebug() {
+        if (this.elements.difficultyDebug) {
+            this.elements.difficultyDebug.classList.toggle('show');
+        }
+    }
+
+    // Adaptive difficulty's rolling window and the adjustments it's making
+    updateDifficultyDebug(status) {
+        const element = this.elements.difficultyDebug;
+        if (!element) return;
+        
+        const percent = value => `${Math.round(value * 100)}%`;
+        const lines = [
+            `Adaptive difficulty ${status.active ? 'on' : 'off'}`,
+            `Level       ${status.level.toFixed(2)}`,
+            `Window      ${status.samples} obstacles`,
+            `Hit rate    ${percent(status.successRate)}`,
+            `Near misses ${percent(status.nearMissRate)}`,
+            `Latency     ${Math.round(status.averageLatency)}ms (${percent(status.reactionShare)} of approach)`,
+            `Speed       x${status.speed.toFixed(2)} (run ${status.runSpeed.toFixed(2)})`,
+            `Spacing     x${status.spacing.toFixed(2)}`,
+            `Complexity  x${status.complexity.toFixed(2)}`,
+            `Hard spots  ${status.hardPatterns}`,
+            status.lastChange
+        ];
+        element.textContent = lines.join('\n');
+    }
+
     // Score and Game State Updates
     updateScore(score, speed) {
         if (this.elements.scoreValue) {
@@ -286,6 +842,7 @@ export class UIManager {
             padding: 20px;
             border-radius: 10px;
             font-size: 18px;
+            white-space: pre-line;
             z-index: 1000;
             backdrop-filter: blur(10px);
         `;
@@ -392,11 +949,17 @@ export class UIManager {
     onPageHidden() {
         // Reduce performance when tab is not active
         console.log('Game tab hidden - performance mode activated');
+        if (this.onPageHiddenCallback) {
+            this.onPageHiddenCallback();
+        }
     }
 
     onPageVisible() {
         // Resume full performance when tab is active
         console.log('Game tab visible - full performance restored');
+        if (this.onPageVisibleCallback) {
+            this.onPageVisibleCallback();
+        }
     }
 
     handleFullscreenChange() {
@@ -0,0 +1,51 @@
+import { defineConfig } from 'vite';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+
+// MediaPipe Hands loads its wasm, model and data files at runtime through
+// `locateFile`. Serve them from the app itself so the game works offline.
+const HANDS_PACKAGE_DIR = resolve('node_modules/@mediapipe/hands');
+const HANDS_OUTPUT_DIR = 'mediapipe/hands';
+
+function getHandsAssetFiles() {
+    return readdirSync(HANDS_PACKAGE_DIR).filter(file =>
+        !file.endsWith('.md') && !file.endsWith('.d.ts') && file !== 'package.json'
+    );
+}
+
+function mediapipeHandsAssets() {
+    return {
+        name: 'mediapipe-hands-assets',
+
+        // Dev server: answer asset requests straight from node_modules
+        configureServer(server) {
+            const prefix = `/${HANDS_OUTPUT_DIR}/`;
+            server.middlewares.use((req, res, next) => {
+                const url = req.url.split('?')[0];
+                if (!url.startsWith(prefix)) return next();
+
+                const file = join(HANDS_PACKAGE_DIR, url.slice(prefix.length));
+                if (!file.startsWith(HANDS_PACKAGE_DIR) || !existsSync(file)) return next();
+
+                if (file.endsWith('.wasm')) res.setHeader('Content-Type', 'application/wasm');
+                else if (file.endsWith('.js')) res.setHeader('Content-Type', 'text/javascript');
+                res.end(readFileSync(file));
+            });
+        },
+
+        // Build: copy the assets into the output directory
+        generateBundle() {
+            getHandsAssetFiles().forEach(file => {
+                this.emitFile({
+                    type: 'asset',
+                    fileName: `${HANDS_OUTPUT_DIR}/${file}`,
+                    source: readFileSync(join(HANDS_PACKAGE_DIR, file))
+                });
+            });
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [mediapipeHandsAssets()]
+});